@@ -39,6 +39,14 @@ const bolsRouter = require('./routes/bols');
 const usersRouter = require('./routes/users');
 const authRouter = require('./routes/auth');
 const authorizeRouter = require('./routes/authorize');
+const scalesRouter = require('./routes/scales');
+const trucksRouter = require('./routes/trucks');
+const loadLimitsRouter = require('./routes/load-limits');
+const driversRouter = require('./routes/drivers');
+const ingestProfilesRouter = require('./routes/ingest-profiles');
+const placementRequestsRouter = require('./routes/placement-requests');
+const tracksRouter = require('./routes/tracks');
+const yardRouter = require('./routes/yard');
 
 app.use('/api/orders', ordersRouter);
 app.use('/api/materials', materialsRouter);
@@ -53,6 +61,14 @@ app.use('/api/bols', bolsRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/authorize', authorizeRouter);
+app.use('/api/scales', scalesRouter);
+app.use('/api/trucks', trucksRouter);
+app.use('/api/load-limits', loadLimitsRouter);
+app.use('/api/drivers', driversRouter);
+app.use('/api/ingest-profiles', ingestProfilesRouter);
+app.use('/api/placement-requests', placementRequestsRouter);
+app.use('/api/tracks', tracksRouter);
+app.use('/api/yard', yardRouter);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -64,6 +80,18 @@ const errorHandler = require('./errorHandler');
 // other app.use() statements...
 app.use(errorHandler);
 
+// Truck scale indicators stream continuous weight frames over TCP, e.g. SCALE_READERS=SCALE1:9101,SCALE2:9102
+// Listeners bind SCALE_READER_HOST (default 127.0.0.1); set SCALE_READER_ALLOWED_IPS to the indicator addresses
+// when binding a network interface.
+if (process.env.SCALE_READERS) {
+  require('./utils/scale-reader').startScaleReaders(process.env.SCALE_READERS);
+}
+
+// Railroad extracts delivered by SFTP into RAILCAR_DROP_FOLDER are ingested and moved to processed/ or failed/
+if (process.env.RAILCAR_DROP_FOLDER) {
+  require('./utils/railcar-drop-folder').startRailcarDropFolderWatcher();
+}
+
 const shouldUseLocalHttps = process.env.USE_LOCAL_HTTPS === 'true';
 const sslKeyPath = process.env.SSL_KEY_PATH || 'C:/mycerts/key.pem';
 const sslCertPath = process.env.SSL_CERT_PATH || 'C:/mycerts/cert.pem';
@@ -7,6 +7,7 @@ const bolSchema = new mongoose.Schema({
     required: true,
     title: 'BOL Number',
   },
+  bolNumber: { type: String, trim: true, uppercase: true, title: 'Sequential BOL Number' },
   bolDate: { type: Date, required: true, title: 'BOL Date' },
   customerName: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,11 +49,17 @@ const bolSchema = new mongoose.Schema({
     ref: 'GroundInventoryLot',
     title: 'Secondary Ground Inventory Lot',
   },
+  groundAllocationStrategy: {
+    type: String,
+    enum: ['manual', 'fifo', 'fewest_lots'],
+    default: 'manual',
+    title: 'Ground Allocation Strategy',
+  },
   groundInventoryAllocatedWeight: { type: Number, title: 'Ground Inventory Allocated Weight' },
   secondaryGroundInventoryAllocatedWeight: { type: Number, title: 'Secondary Ground Inventory Allocated Weight' },
   status: {
     type: String,
-    enum: ['Draft', 'Completed'],
+    enum: ['Draft', 'Completed', 'Voided'],
     default: 'Draft',
     required: true,
   },
@@ -66,11 +73,41 @@ const bolSchema = new mongoose.Schema({
   secondaryTareWeight: { type: Number, title: 'Secondary Tare Weight' },
   secondaryNetWeight: { type: Number, title: 'Secondary Net Weight' },
   secondaryTonWeight: { type: Number, title: 'Secondary Ton Weight' },
+  weightSource: {
+    type: String,
+    enum: ['manual', 'scale'],
+    default: 'manual',
+    title: 'Weight Source',
+  },
+  scaleId: { type: String, title: 'Scale ID' },
+  grossCapturedAt: { type: Date, title: 'Gross Captured At' },
+  tareCapturedAt: { type: Date, title: 'Tare Captured At' },
+  isOverweight: { type: Boolean, default: false, title: 'Overweight' },
+  legalMaxGrossWeight: { type: Number, title: 'Legal Max Gross Weight' },
+  legalMaxNetWeight: { type: Number, title: 'Legal Max Net Weight' },
+  overweightOverriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    title: 'Overweight Overridden By',
+  },
+  overweightOverriddenAt: { type: Date, title: 'Overweight Overridden At' },
+  overweightOverrideReason: { type: String, title: 'Overweight Override Reason' },
   netWeight: { type: Number, title: 'Net Weight' },
   tonWeight: { type: Number, title: 'Ton Weight' },
   weighInTime: { type: Date, title: 'Weigh In Time' },
   weighOutTime: { type: Date, title: 'Weigh Out Time' },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    title: 'Registered Driver',
+  },
   driverName: { type: String, title: 'Driver Name' },
+  driverSignature: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signature',
+    title: 'Driver Signature',
+  },
+  // Legacy inline signature; scripts/migrate-bol-signatures.js moves these into Signature documents.
   driverSignatureImage: { type: String, title: 'Driver Signature Image (Data URL)' },
   signedAt: { type: Date, title: 'Driver Signed At' },
   railcarID: {
@@ -83,6 +120,19 @@ const bolSchema = new mongoose.Schema({
   railShipmentBolNumber: { type: String, title: 'Rail Shipment BOL Number (Primary)' },
   secondaryRailShipmentBolNumber: { type: String, title: 'Rail Shipment BOL Number (Secondary)' },
   truckID: { type: String, required: true, title: 'Truck #' },
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    title: 'Registered Truck',
+  },
+  tareSource: {
+    type: String,
+    enum: ['weighed', 'registry'],
+    default: 'weighed',
+    title: 'Tare Source',
+  },
+  storedTareWeight: { type: Number, title: 'Stored Tare Weight' },
+  tareDeviation: { type: Number, title: 'Tare Deviation From Stored' },
   trailerID: { type: String, required: true, title: 'Trailer #' },
   comments: { type: String, title: 'Comments' },
   createdAt: { type: Date, default: Date.now },
@@ -96,6 +146,23 @@ const bolSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  voidedAt: { type: Date, title: 'Voided At' },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    title: 'Voided By',
+  },
+  voidReason: { type: String, title: 'Void Reason' },
+  reissuedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BOL',
+    title: 'Reissued From BOL',
+  },
+  reissuedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BOL',
+    title: 'Reissued As BOL',
+  },
 });
 
 bolSchema.pre('validate', function (next) {
@@ -139,4 +206,13 @@ bolSchema.pre('validate', function (next) {
   next();
 });
 
+// Sequential BOL numbers are assigned on completion; Drafts have none yet.
+bolSchema.index(
+  { bolNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { bolNumber: { $exists: true, $type: 'string', $ne: '' } },
+  }
+);
+
 module.exports = mongoose.model('BOL', bolSchema);
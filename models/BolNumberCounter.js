@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One running sequence per BOL number prefix per calendar year, incremented atomically when a
+// BOL is completed. Keying by prefix keeps numbers unique even when two customers share one.
+const bolNumberCounterSchema = new mongoose.Schema({
+  prefix: { type: String, required: true, title: 'BOL Number Prefix' },
+  year: { type: Number, required: true },
+  seq: { type: Number, default: 0, min: 0 },
+}, {
+  timestamps: true,
+});
+
+bolNumberCounterSchema.index({ prefix: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('BolNumberCounter', bolNumberCounterSchema);
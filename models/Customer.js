@@ -23,6 +23,18 @@ const customerSchema = new mongoose.Schema({
     default: false,
     title: 'Enable Ground Inventory',
   },
+  demurrageFreeDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+    title: 'Demurrage Free Days',
+  },
+  demurrageDailyRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    title: 'Demurrage Daily Rate',
+  },
 
 });
 
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const driverSchema = new mongoose.Schema({
+  carrierName: { type: String, required: true, trim: true, title: 'Carrier' },
+  firstName: { type: String, required: true, trim: true, title: 'First Name' },
+  lastName: { type: String, required: true, trim: true, title: 'Last Name' },
+  phone: { type: String, default: '', title: 'Phone' },
+  licenseNumber: { type: String, default: '', trim: true, uppercase: true, title: 'License Number' },
+  licenseState: { type: String, default: '', trim: true, uppercase: true, title: 'License State' },
+  licenseExpiresAt: { type: Date, title: 'License Expires At' },
+  signature: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signature',
+    title: 'Stored Signature',
+  },
+  // When the driver agreed to have their stored signature applied to future BOLs.
+  signatureConsentAt: { type: Date, title: 'Signature Consent At' },
+  isActive: { type: Boolean, default: true, title: 'Is Active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+driverSchema.virtual('fullName').get(function fullName() {
+  return `${this.firstName} ${this.lastName}`.trim();
+});
+
+driverSchema.index({ carrierName: 1, lastName: 1, firstName: 1 });
+driverSchema.index(
+  { licenseState: 1, licenseNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { licenseNumber: { $exists: true, $type: 'string', $ne: '' } },
+  }
+);
+
+module.exports = mongoose.model('Driver', driverSchema);
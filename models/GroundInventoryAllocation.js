@@ -10,7 +10,9 @@ const groundInventoryAllocationSchema = new mongoose.Schema({
   bolId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BOL',
-    required: true,
+    required: function requireBolForCompletion() {
+      return this.allocationType === 'bol_completion';
+    },
     index: true,
   },
   customerName: {
@@ -25,17 +27,46 @@ const groundInventoryAllocationSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
-  allocatedWeight: { type: Number, required: true, min: 0 },
+  // Lot transfers are recorded in pairs: positive on the lot the weight leaves, negative on the
+  // lot it moves into, so startingWeight - allocations still equals remainingWeight. Count
+  // adjustments are negative when a survey finds more material than the book.
+  allocatedWeight: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function allowNegativeTransfers(value) {
+        return value >= 0 || ['lot_transfer', 'manual_adjustment'].includes(this.allocationType);
+      },
+      message: 'Allocated weight must be non-negative',
+    },
+  },
   allocationType: {
     type: String,
-    enum: ['bol_completion', 'manual_adjustment'],
+    enum: ['bol_completion', 'manual_adjustment', 'lot_transfer'],
     default: 'bol_completion',
   },
+  transferGroup: { type: mongoose.Schema.Types.ObjectId, index: true },
+  transferKind: { type: String, enum: ['transfer', 'split', 'merge'] },
+  counterpartLotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroundInventoryLot',
+  },
+  countSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroundInventoryCount',
+    index: true,
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
   notes: { type: String, default: '' },
+  reversedAt: { type: Date },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reversalReason: { type: String, default: '' },
 }, {
   timestamps: true,
 });
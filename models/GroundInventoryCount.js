@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const countLineSchema = new mongoose.Schema({
+  lotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroundInventoryLot',
+    required: true,
+    title: 'Lot',
+  },
+  materialName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    required: true,
+    title: 'Material',
+  },
+  locationName: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', title: 'Location' },
+  bookWeight: { type: Number, required: true, title: 'Book Weight When Counted' },
+  measuredWeight: { type: Number, min: 0, default: null, title: 'Measured Weight' },
+  measuredAt: { type: Date, default: null, title: 'Measured At' },
+  measuredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Measured By' },
+  notes: { type: String, default: '', title: 'Notes' },
+  postedAdjustmentWeight: { type: Number, default: null, title: 'Posted Adjustment Weight' },
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroundInventoryAllocation',
+    default: null,
+    title: 'Adjustment Allocation',
+  },
+});
+
+// A physical survey of a customer's piles. Posting adjusts each counted lot to its measured weight.
+const groundInventoryCountSchema = new mongoose.Schema({
+  customerName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true,
+    title: 'Customer Name',
+  },
+  locationName: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null, title: 'Location' },
+  countDate: { type: Date, required: true, default: Date.now, title: 'Count Date' },
+  status: {
+    type: String,
+    enum: ['draft', 'posted', 'cancelled'],
+    default: 'draft',
+    index: true,
+    title: 'Status',
+  },
+  lines: { type: [countLineSchema], default: [], title: 'Count Lines' },
+  notes: { type: String, default: '', title: 'Notes' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Created By' },
+  postedAt: { type: Date, default: null, title: 'Posted At' },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Posted By' },
+  cancelledAt: { type: Date, default: null, title: 'Cancelled At' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Cancelled By' },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('GroundInventoryCount', groundInventoryCountSchema);
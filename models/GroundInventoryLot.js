@@ -15,9 +15,13 @@ const groundInventoryLotSchema = new mongoose.Schema({
   },
   sourceType: {
     type: String,
-    enum: ['railcar_conversion', 'manual_adjustment'],
+    enum: ['railcar_conversion', 'manual_adjustment', 'lot_transfer'],
     default: 'railcar_conversion',
   },
+  sourceLotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroundInventoryLot',
+  },
   sourceRailcarDocId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Railcar',
@@ -43,6 +47,7 @@ const groundInventoryLotSchema = new mongoose.Schema({
     default: 'available',
     index: true,
   },
+  archivedAt: { type: Date, default: null },
   notes: { type: String, default: '' },
 }, {
   timestamps: true,
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const ingestBatchSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['api_key', 'manual', 'drop_folder'],
+    required: true,
+    title: 'Source',
+  },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Submitted By' },
+  profileName: { type: String, default: '', title: 'Ingest Profile' },
+  fileName: { type: String, default: '', title: 'Source File' },
+  receivedCount: { type: Number, default: 0, title: 'Rows Received' },
+  upsertedCount: { type: Number, default: 0, title: 'Railcars Upserted' },
+  deactivatedCount: { type: Number, default: 0, title: 'Railcars Deactivated' },
+  rejectedCount: { type: Number, default: 0, title: 'Rows Rejected' },
+  blockedDeactivations: { type: [mongoose.Schema.Types.Mixed], default: [], title: 'Blocked Deactivations' },
+  // The header is created before any railcar is written; its changes and rejected rows live in
+  // IngestBatchEntry. A batch left in `running` was interrupted before it could be finalized.
+  status: {
+    type: String,
+    enum: ['running', 'applied', 'failed', 'rolled_back'],
+    default: 'running',
+    title: 'Status',
+  },
+  failureMessage: { type: String, default: '', title: 'Failure Message' },
+  rolledBackAt: { type: Date, title: 'Rolled Back At' },
+  rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Rolled Back By' },
+  rollbackReason: { type: String, default: '', title: 'Rollback Reason' },
+  rollbackSkipped: { type: [mongoose.Schema.Types.Mixed], default: [], title: 'Rollback Skipped Railcars' },
+}, {
+  timestamps: true,
+});
+
+ingestBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('IngestBatch', ingestBatchSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One railcar change or rejected row of an ingest batch. Kept out of the batch document so a
+// large extract never approaches the document size limit, and written chunk by chunk so a
+// partially applied import can still be rolled back.
+const ingestBatchEntrySchema = new mongoose.Schema({
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'IngestBatch', required: true, title: 'Ingest Batch' },
+  kind: {
+    type: String,
+    enum: ['change', 'rejected_row'],
+    required: true,
+    title: 'Entry Kind',
+  },
+  railcar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Railcar',
+    required: function requireRailcarForChange() {
+      return this.kind === 'change';
+    },
+    title: 'Railcar',
+  },
+  railcarID: { type: String, default: '', title: 'Railcar ID' },
+  customerName: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', title: 'Customer Name' },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deactivated'],
+    required: function requireActionForChange() {
+      return this.kind === 'change';
+    },
+    title: 'Action',
+  },
+  // Snapshots hold only the ingest-managed fields; `before` is null when the batch created the car.
+  before: { type: mongoose.Schema.Types.Mixed, default: null, title: 'Before Snapshot' },
+  after: { type: mongoose.Schema.Types.Mixed, default: null, title: 'After Snapshot' },
+  row: { type: mongoose.Schema.Types.Mixed, title: 'Rejected Row' },
+  message: { type: String, title: 'Rejection Message' },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+ingestBatchEntrySchema.index({ batch: 1, kind: 1, _id: 1 });
+
+module.exports = mongoose.model('IngestBatchEntry', ingestBatchEntrySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const {
+  INGEST_ROW_FIELDS,
+  STATUS_RULE_FIELDS,
+  STATUS_RULE_MATCH_TYPES,
+} = require('../utils/ingest-profile');
+
+const headerMappingSchema = new mongoose.Schema({
+  field: { type: String, enum: INGEST_ROW_FIELDS, required: true, title: 'Railcar Field' },
+  headers: { type: [String], default: [], title: 'Extract Headers' },
+}, {
+  _id: false,
+});
+
+const statusRuleSchema = new mongoose.Schema({
+  field: { type: String, enum: STATUS_RULE_FIELDS, default: 'currentStatus', title: 'Extract Field' },
+  matchType: { type: String, enum: STATUS_RULE_MATCH_TYPES, default: 'equals', title: 'Match Type' },
+  pattern: { type: String, required: true, title: 'Pattern' },
+  status: {
+    type: String,
+    enum: ['Inbound', 'On-Spot', 'Available', 'Released'],
+    required: true,
+    title: 'Railcar Status',
+  },
+}, {
+  _id: false,
+});
+
+// Describes one carrier's extract format so it can be onboarded without code changes.
+const ingestProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    title: 'Profile Name',
+  },
+  carrierName: { type: String, trim: true, default: '', title: 'Rail Carrier' },
+  description: { type: String, default: '', title: 'Description' },
+  headerMappings: { type: [headerMappingSchema], default: [], title: 'Header Mappings' },
+  statusRules: { type: [statusRuleSchema], default: [], title: 'Status Rules' },
+  onSpotTracks: { type: [String], default: [], title: 'On-Spot Tracks' },
+  dateFormats: { type: [String], default: [], title: 'Date Formats' },
+  isActive: { type: Boolean, default: true, title: 'Is Active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Created By' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Updated By' },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('IngestProfile', ingestProfileSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Legal-load limits. A limit may target a customer, a truck type (Material.truckType), both, or
+// neither (site-wide default); the most specific active limit applies.
+const loadLimitSchema = new mongoose.Schema({
+  customerName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    title: 'Customer Name',
+  },
+  truckType: { type: String, default: '', trim: true, title: 'Truck Type' },
+  maxGrossWeight: { type: Number, min: 0, title: 'Max Gross Weight (lbs)' },
+  maxNetWeight: { type: Number, min: 0, title: 'Max Net Weight (lbs)' },
+  notes: { type: String, default: '', title: 'Notes' },
+  isActive: { type: Boolean, default: true, title: 'Is Active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+loadLimitSchema.index({ customerName: 1, truckType: 1 }, { unique: true });
+
+module.exports = mongoose.model('LoadLimit', loadLimitSchema);
@@ -38,6 +38,12 @@ const orderSchema = new mongoose.Schema({
     ref: 'GroundInventoryLot',
     title: 'Secondary Ground Inventory Lot',
   },
+  groundAllocationStrategy: {
+    type: String,
+    enum: ['fifo', 'fewest_lots'],
+    default: null,
+    title: 'Ground Allocation Strategy',
+  },
   railcarID: { type: String, default: '', title: 'Preferred Railcar #' },
   splitLoad: { type: Boolean, default: false, title: 'Split Load' },
   secondaryRailcarID: { type: String, default: '', title: 'Secondary Preferred Railcar #' },
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A customer's ask to have a railcar spotted, tracked until yard staff (or the feed) confirm it.
+const placementRequestSchema = new mongoose.Schema({
+  railcar: { type: mongoose.Schema.Types.ObjectId, ref: 'Railcar', required: true, title: 'Railcar' },
+  customerName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    title: 'Customer Name',
+  },
+  railcarID: { type: String, default: '', title: 'Railcar ID' },
+  status: {
+    type: String,
+    enum: ['requested', 'acknowledged', 'scheduled', 'fulfilled', 'cancelled'],
+    default: 'requested',
+    title: 'Status',
+  },
+  requestedAt: { type: Date, required: true, default: Date.now, title: 'Requested At' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Requested By' },
+  requestedStatus: { type: String, default: '', title: 'Railcar Status When Requested' },
+  requestedTrack: { type: String, default: '', title: 'Railcar Track When Requested' },
+  notes: { type: String, default: '', title: 'Notes' },
+  acknowledgedAt: { type: Date, default: null, title: 'Acknowledged At' },
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Acknowledged By' },
+  scheduledFor: { type: Date, default: null, title: 'Scheduled For' },
+  scheduledAt: { type: Date, default: null, title: 'Scheduled At' },
+  scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Scheduled By' },
+  fulfilledAt: { type: Date, default: null, title: 'Fulfilled At' },
+  fulfilledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Fulfilled By' },
+  fulfilledTrack: { type: String, default: '', title: 'Fulfilled Track' },
+  fulfillmentSource: { type: String, enum: ['ingest', 'user', null], default: null, title: 'Fulfillment Source' },
+  cancelledAt: { type: Date, default: null, title: 'Cancelled At' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Cancelled By' },
+  cancelReason: { type: String, default: '', title: 'Cancel Reason' },
+}, {
+  timestamps: true,
+});
+
+placementRequestSchema.index({ status: 1, requestedAt: 1 });
+placementRequestSchema.index({ railcar: 1, status: 1 });
+
+module.exports = mongoose.model('PlacementRequest', placementRequestSchema);
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+const railcarStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['Inbound', 'On-Spot', 'Available', 'Released'],
+    required: true,
+    title: 'Status',
+  },
+  track: { type: String, default: '', title: 'Track' },
+  changedAt: { type: Date, required: true, default: Date.now, title: 'Changed At' },
+  source: {
+    type: String,
+    enum: ['ingest', 'ingest_rollback', 'release_empty', 'unrelease', 'request_placement'],
+    required: true,
+    title: 'Source',
+  },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Changed By' },
+}, {
+  _id: false,
+});
+
 const railcarSchema = new mongoose.Schema({
   customerName: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,6 +43,7 @@ const railcarSchema = new mongoose.Schema({
   station: { type: String, title: 'Station' },
   track: { type: String, title: 'Track' },
   trackPosition: { type: String, title: 'Track Position' },
+  yardTrack: { type: mongoose.Schema.Types.ObjectId, ref: 'Track', default: null, title: 'Yard Track' },
   materialName: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Material',
@@ -34,6 +55,7 @@ const railcarSchema = new mongoose.Schema({
   releasedAsEmptyBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Released As Empty By' },
   placementRequestedAt: { type: Date, title: 'Placement Requested At' },
   placementRequestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Placement Requested By' },
+  statusHistory: { type: [railcarStatusHistorySchema], default: [], title: 'Status History' },
   isActive: { type: Boolean, default: true, title: 'Is Active' },
 }, {
   timestamps: true,
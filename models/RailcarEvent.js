@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const railcarEventChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true, title: 'Field' },
+  from: { type: mongoose.Schema.Types.Mixed, default: null, title: 'Previous Value' },
+  to: { type: mongoose.Schema.Types.Mixed, default: null, title: 'New Value' },
+}, {
+  _id: false,
+});
+
+// Append-only audit trail of railcar state. Corrections are recorded as new events, never edits.
+const railcarEventSchema = new mongoose.Schema({
+  railcar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Railcar',
+    required: true,
+    title: 'Railcar',
+  },
+  customerName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    title: 'Customer Name',
+  },
+  railcarID: { type: String, default: '', title: 'Railcar ID' },
+  eventType: {
+    type: String,
+    enum: [
+      'created',
+      'updated',
+      'deactivated',
+      'details_updated',
+      'released_empty',
+      'release_reversed',
+      'placement_requested',
+      'ingest_rolled_back',
+    ],
+    required: true,
+    title: 'Event Type',
+  },
+  source: {
+    type: String,
+    enum: ['ingest_feed', 'ingest_manual', 'ingest_drop_folder', 'user'],
+    required: true,
+    title: 'Source',
+  },
+  changes: { type: [railcarEventChangeSchema], default: [], title: 'Changes' },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, title: 'Actor' },
+  occurredAt: { type: Date, required: true, default: Date.now, title: 'Occurred At' },
+  notes: { type: String, default: '', title: 'Notes' },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+railcarEventSchema.index({ railcar: 1, occurredAt: 1 });
+railcarEventSchema.index({ customerName: 1, occurredAt: -1 });
+
+const rejectMutation = function rejectMutation(next) {
+  next(new Error('Railcar events are append-only'));
+};
+railcarEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+railcarEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+
+module.exports = mongoose.model('RailcarEvent', railcarEventSchema);
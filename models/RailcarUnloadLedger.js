@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One row per railcar shipment (customer + railcar + rail shipment BOL), maintained as BOLs
+// are completed or voided so railcar lists do not re-aggregate every BOL.
+const railcarUnloadLedgerSchema = new mongoose.Schema({
+  customerName: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    title: 'Customer Name',
+  },
+  railcarID: { type: String, required: true, trim: true, title: 'Railcar ID' },
+  railShipmentBolNumber: { type: String, default: '', trim: true, title: 'Rail Shipment BOL Number' },
+  reportedWeight: { type: Number, default: null, title: 'Reported Weight' },
+  unloadedWeight: { type: Number, default: 0, title: 'Unloaded Weight' },
+  remainingWeight: { type: Number, default: null, title: 'Remaining Weight' },
+  bolCount: { type: Number, default: 0, title: 'Completed BOL Count' },
+  lastUnloadAt: { type: Date, default: null, title: 'Last Unload At' },
+  lastBol: { type: mongoose.Schema.Types.ObjectId, ref: 'BOL', default: null, title: 'Last BOL' },
+  rebuiltAt: { type: Date, default: null, title: 'Last Rebuilt At' },
+}, {
+  timestamps: true,
+});
+
+railcarUnloadLedgerSchema.index(
+  { customerName: 1, railcarID: 1, railShipmentBolNumber: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('RailcarUnloadLedger', railcarUnloadLedgerSchema);
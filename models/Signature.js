@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Signature images are stored once here and referenced by ID so BOL documents stay small.
+const signatureSchema = new mongoose.Schema({
+  imageData: { type: String, required: true, title: 'Signature Image (Data URL)' },
+  source: {
+    type: String,
+    enum: ['driver_profile', 'bol', 'migration'],
+    default: 'bol',
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+  },
+  capturedAt: { type: Date, default: Date.now },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Signature', signatureSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One physical yard track. Ingest matches the carrier's track text against name and aliases.
+const trackSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+    title: 'Track Name',
+  },
+  aliases: { type: [String], default: [], title: 'Aliases' },
+  type: {
+    type: String,
+    enum: ['spot', 'storage', 'interchange'],
+    required: true,
+    title: 'Track Type',
+  },
+  station: { type: String, trim: true, default: '', title: 'Station' },
+  capacity: { type: Number, min: 0, default: 0, title: 'Capacity (Cars)' },
+  spotPositions: { type: [String], default: [], title: 'Spot Positions' },
+  sortOrder: { type: Number, default: 0, title: 'Sort Order' },
+  notes: { type: String, default: '', title: 'Notes' },
+  isActive: { type: Boolean, default: true, title: 'Is Active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Created By' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', title: 'Updated By' },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Track', trackSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const truckSchema = new mongoose.Schema({
+  carrierName: { type: String, required: true, trim: true, title: 'Carrier' },
+  truckNumber: { type: String, required: true, trim: true, uppercase: true, title: 'Truck #' },
+  trailerNumber: { type: String, default: '', trim: true, uppercase: true, title: 'Trailer #' },
+  certifiedTareWeight: { type: Number, required: true, min: 0, title: 'Last Certified Tare Weight' },
+  tareCertifiedAt: { type: Date, required: true, title: 'Tare Certified At' },
+  tareExpiresAt: { type: Date, title: 'Tare Expires At' },
+  notes: { type: String, default: '', title: 'Notes' },
+  isActive: { type: Boolean, default: true, title: 'Is Active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+});
+
+truckSchema.virtual('isTareExpired').get(function isTareExpired() {
+  return Boolean(this.tareExpiresAt && new Date(this.tareExpiresAt).getTime() < Date.now());
+});
+
+truckSchema.set('toJSON', { virtuals: true });
+truckSchema.set('toObject', { virtuals: true });
+
+truckSchema.index({ truckNumber: 1, trailerNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Truck', truckSchema);
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { isValidObjectId } = require('mongoose');
+const mongoose = require('mongoose');
+const { isValidObjectId } = mongoose;
 const router = express.Router();
 const BOL = require('../models/BOL');
 const Order = require('../models/Order');
@@ -9,8 +10,20 @@ const Customer = require('../models/Customer');
 const User = require('../models/User');
 const GroundInventoryLot = require('../models/GroundInventoryLot');
 const GroundInventoryAllocation = require('../models/GroundInventoryAllocation');
+const Truck = require('../models/Truck');
+const Material = require('../models/Material');
+const Driver = require('../models/Driver');
+const Signature = require('../models/Signature');
 const { sendAppEmail } = require('../utils/email');
 const { buildBolPdfAttachment } = require('../utils/bol-pdf');
+const { nextBolNumber, normalizeBolNumber } = require('../utils/bol-number');
+const { evaluateLoadLimit, loadActiveLoadLimits, selectLoadLimit } = require('../utils/load-limits');
+const { applyBolToRailcarLedger, removeBolFromRailcarLedger } = require('../utils/railcar-ledger');
+const {
+  GROUND_ALLOCATION_STRATEGIES,
+  resolveGroundAllocationStrategy,
+  planGroundLotDraws,
+} = require('../utils/ground-allocation');
 const {
   requireAuth,
   authorizeRoles,
@@ -41,6 +54,34 @@ const parseMonthWindow = (yearValue, monthValue) => {
   return { year, month, start, end };
 };
 
+// Mirrors the Customer.loadGoalMinutes schema default.
+const DEFAULT_LOAD_GOAL_MINUTES = 90;
+
+const percentile = (sortedValues, fraction) => {
+  if (!sortedValues.length) return null;
+  const rank = Math.ceil(fraction * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+};
+
+const roundMinutes = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+const summarizeLoadMinutes = (rows = []) => {
+  const minutes = rows.map((row) => row.loadMinutes).sort((a, b) => a - b);
+  const total = minutes.reduce((acc, value) => acc + value, 0);
+  const middle = Math.floor(minutes.length / 2);
+  const median = minutes.length === 0
+    ? null
+    : minutes.length % 2 ? minutes[middle] : (minutes[middle - 1] + minutes[middle]) / 2;
+
+  return {
+    loadCount: minutes.length,
+    averageMinutes: minutes.length ? roundMinutes(total / minutes.length) : null,
+    medianMinutes: roundMinutes(median),
+    p90Minutes: roundMinutes(percentile(minutes, 0.9)),
+    exceedsGoalCount: rows.filter((row) => row.exceedsGoal).length,
+  };
+};
+
 const csvEscape = (value) => {
   if (value == null) return '';
   const raw = String(value);
@@ -50,6 +91,14 @@ const csvEscape = (value) => {
   return raw;
 };
 
+const createHttpError = (status, message) => Object.assign(new Error(message), { status });
+
+const DEFAULT_TRUCK_TARE_TOLERANCE_LBS = 500;
+const getTruckTareToleranceLbs = () => {
+  const configured = Number(process.env.TRUCK_TARE_TOLERANCE_LBS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TRUCK_TARE_TOLERANCE_LBS;
+};
+
 const formatAddress = (entity = {}, fields = []) => fields.map((field) => entity?.[field]).filter(Boolean).join(', ');
 
 const findActiveRailcarShipmentBol = async ({ customerId, railcarID }) => {
@@ -66,6 +115,140 @@ const findActiveRailcarShipmentBol = async ({ customerId, railcarID }) => {
   return trimToString(railcar?.railcarBolNumber);
 };
 
+const findRegisteredTruck = async ({ truckID, trailerID }) => {
+  const truckNumber = trimToString(truckID).toUpperCase();
+  if (!truckNumber) return null;
+
+  return Truck.findOne({
+    truckNumber,
+    trailerNumber: trimToString(trailerID).toUpperCase(),
+    isActive: { $ne: false },
+  });
+};
+
+// Fills tare from the truck registry when none was weighed, and compares a weighed tare
+// against the stored one. Expired stored tares are never used.
+const resolveTruckTare = async ({ truckID, trailerID, tareWeight }) => {
+  const weighedTare = toNumberOrNull(tareWeight);
+  const truck = await findRegisteredTruck({ truckID, trailerID });
+  if (!truck) {
+    return { ok: true, truck: null, tareWeight: weighedTare, tareSource: 'weighed', storedTareWeight: null, warnings: [] };
+  }
+
+  const truckLabel = [truck.truckNumber, truck.trailerNumber].filter(Boolean).join(' / ');
+  if (truck.isTareExpired) {
+    const expiredOn = new Date(truck.tareExpiresAt).toISOString().slice(0, 10);
+    if (weighedTare == null) {
+      return {
+        ok: false,
+        message: `Stored tare for truck ${truckLabel} expired on ${expiredOn}. Weigh the truck empty or recertify its tare.`,
+      };
+    }
+    return {
+      ok: true,
+      truck,
+      tareWeight: weighedTare,
+      tareSource: 'weighed',
+      storedTareWeight: null,
+      warnings: [`Stored tare for truck ${truckLabel} expired on ${expiredOn} and was not compared`],
+    };
+  }
+
+  const storedTareWeight = Number(truck.certifiedTareWeight);
+  if (weighedTare == null) {
+    return { ok: true, truck, tareWeight: storedTareWeight, tareSource: 'registry', storedTareWeight, warnings: [] };
+  }
+
+  const tareDeviation = weighedTare - storedTareWeight;
+  const tolerance = getTruckTareToleranceLbs();
+  const warnings = Math.abs(tareDeviation) > tolerance
+    ? [`Weighed tare ${weighedTare} deviates from stored tare ${storedTareWeight} for truck ${truckLabel} by ${tareDeviation} lbs (tolerance ${tolerance})`]
+    : [];
+
+  return { ok: true, truck, tareWeight: weighedTare, tareSource: 'weighed', storedTareWeight, tareDeviation, warnings };
+};
+
+const applyTruckTareToBol = (target, truckTare) => {
+  target.truck = truckTare.truck?._id || null;
+  target.tareSource = truckTare.tareSource;
+  target.storedTareWeight = truckTare.storedTareWeight;
+  target.tareDeviation = truckTare.tareDeviation ?? null;
+};
+
+// Signature images are stored as Signature documents; BOLs keep only the reference.
+const createBolSignature = async ({ imageData, driverId = null, signedAt, userId, session = null }) => {
+  const [signature] = await Signature.create([{
+    imageData,
+    source: 'bol',
+    driver: driverId || null,
+    capturedAt: signedAt ? new Date(signedAt) : new Date(),
+    capturedBy: userId,
+  }], { session });
+  return signature._id;
+};
+
+const LOAD_LIMIT_FIELDS = [
+  'isOverweight',
+  'legalMaxGrossWeight',
+  'legalMaxNetWeight',
+  'overweightOverriddenBy',
+  'overweightOverriddenAt',
+  'overweightOverrideReason',
+];
+
+// Set only by the void and reissue endpoints, never from a create or update body.
+const VOID_REISSUE_FIELDS = ['voidedAt', 'voidedBy', 'voidReason', 'reissuedFrom', 'reissuedTo'];
+
+// Legal-load check shared by create-as-Completed and completion. Returns the overweight fields to
+// record on the BOL, or the error response when an overweight load has no valid admin override.
+const checkBolLoadLimit = async ({ customerId, materialId, grossWeight, netWeight, body = {}, user }) => {
+  const [loadMaterial, loadLimits] = await Promise.all([
+    Material.findById(materialId).select('truckType').lean(),
+    loadActiveLoadLimits(),
+  ]);
+  const loadLimit = selectLoadLimit(loadLimits, { customerId, truckType: loadMaterial?.truckType });
+  const loadCheck = evaluateLoadLimit(loadLimit, { grossWeight, netWeight });
+  const overweightOverrideReason = trimToString(body.overweightOverrideReason);
+  if (loadCheck.isOverweight) {
+    const overrideRequested = body.overweightOverride === true || body.overweightOverride === 'true';
+    if (!overrideRequested) {
+      return {
+        ok: false,
+        status: 400,
+        response: {
+          message: `Load exceeds legal limits: ${loadCheck.violations.join('; ')}`,
+          overweight: true,
+          violations: loadCheck.violations,
+          limitSource: loadLimit.source,
+          loadLimitId: loadLimit._id || null,
+        },
+      };
+    }
+    if (user?.role !== 'admin') {
+      return { ok: false, status: 403, response: { message: 'Only admins can override legal load limits' } };
+    }
+    if (!overweightOverrideReason) {
+      return {
+        ok: false,
+        status: 400,
+        response: { message: 'An override reason is required to complete an overweight load' },
+      };
+    }
+  }
+
+  return {
+    ok: true,
+    fields: {
+      isOverweight: loadCheck.isOverweight,
+      legalMaxGrossWeight: loadLimit.maxGrossWeight ?? null,
+      legalMaxNetWeight: loadLimit.maxNetWeight ?? null,
+      overweightOverriddenBy: loadCheck.isOverweight ? user.id : null,
+      overweightOverriddenAt: loadCheck.isOverweight ? new Date() : null,
+      overweightOverrideReason: loadCheck.isOverweight ? overweightOverrideReason : '',
+    },
+  };
+};
+
 const baseCreateValidation = [
   body('orderNumber').notEmpty().isMongoId().withMessage('Order number is required and must be a valid ID'),
   body('customerName').notEmpty().isMongoId().withMessage('Customer name is required and must be a valid ID'),
@@ -95,15 +278,30 @@ const baseCreateValidation = [
     .optional({ checkFalsy: true })
     .isMongoId()
     .withMessage('Secondary ground inventory lot must be a valid ID'),
+  body('groundAllocationStrategy')
+    .optional({ checkFalsy: true })
+    .isIn(GROUND_ALLOCATION_STRATEGIES)
+    .withMessage(`Ground allocation strategy must be one of: ${GROUND_ALLOCATION_STRATEGIES.join(', ')}`),
 ];
 
 const completionValidation = [
   body('grossWeight').notEmpty().isNumeric().withMessage('Gross weight is required and must be numeric'),
-  body('tareWeight').notEmpty().isNumeric().withMessage('Tare weight is required and must be numeric'),
+  body('tareWeight')
+    .if((value) => value != null && value !== '')
+    .isNumeric()
+    .withMessage('Tare weight must be numeric'),
   body('weighInTime').notEmpty().isISO8601().withMessage('Weigh in time is required and must be valid'),
   body('weighOutTime').notEmpty().isISO8601().withMessage('Weigh out time is required and must be valid'),
-  body('driverName').notEmpty().withMessage('Driver name is required'),
-  body('driverSignatureImage').notEmpty().withMessage('Driver signature is required'),
+  body('driverId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Driver must be a valid ID'),
+  body('driverName')
+    .custom((value, { req }) => Boolean(req.body.driverId) || Boolean(String(value || '').trim()))
+    .withMessage('Driver name is required'),
+  body('driverSignatureImage')
+    .custom((value, { req }) => Boolean(req.body.driverId) || Boolean(String(value || '').trim()))
+    .withMessage('Driver signature is required'),
   body('splitLoad').optional().isBoolean().withMessage('Split load must be true or false'),
   body('secondaryRailcarID')
     .optional({ checkFalsy: true })
@@ -117,6 +315,10 @@ const completionValidation = [
     .optional({ checkFalsy: true })
     .isNumeric()
     .withMessage('Secondary tare weight must be numeric'),
+  body('groundAllocationStrategy')
+    .optional({ checkFalsy: true })
+    .isIn(GROUND_ALLOCATION_STRATEGIES)
+    .withMessage(`Ground allocation strategy must be one of: ${GROUND_ALLOCATION_STRATEGIES.join(', ')}`),
 ];
 
 router.use(requireAuth);
@@ -139,7 +341,7 @@ const ensureGroundInventoryLotIsUsable = async ({ lotId, customerId, materialId
   return { ok: true, lot };
 };
 
-const consumeGroundInventoryLot = async ({ lotId, customerId, materialId, weight }) => {
+const consumeGroundInventoryLot = async ({ lotId, customerId, materialId, weight, session = null }) => {
   const consumeWeight = Number(weight || 0);
   if (!Number.isFinite(consumeWeight) || consumeWeight < 0) {
     return { ok: false, message: 'Invalid ground inventory consume weight' };
@@ -150,7 +352,7 @@ const consumeGroundInventoryLot = async ({ lotId, customerId, materialId, weight
       customerName: customerId,
       materialName: materialId,
       status: { $in: ['available', 'depleted'] },
-    });
+    }).session(session);
     if (!lot) return { ok: false, message: 'Ground inventory lot not found while completing BOL' };
     return { ok: true, lot, consumedWeight: 0 };
   }
@@ -167,19 +369,83 @@ const consumeGroundInventoryLot = async ({ lotId, customerId, materialId, weight
       $inc: { remainingWeight: -consumeWeight },
       $set: { status: 'available' },
     },
-    { new: true }
+    { new: true, session }
   );
 
   if (!lot) return { ok: false, message: 'Ground inventory lot does not have enough remaining weight to complete this BOL' };
 
   if (Number(lot.remainingWeight || 0) <= 0 && lot.status !== 'depleted') {
     lot.status = 'depleted';
-    await lot.save();
+    await lot.save({ session });
   }
 
   return { ok: true, lot, consumedWeight: consumeWeight };
 };
 
+const reverseGroundInventoryAllocationsForBol = async ({ bolId, userId, reason, session = null }) => {
+  const allocations = await GroundInventoryAllocation.find({
+    bolId,
+    allocationType: 'bol_completion',
+    reversedAt: null,
+  }).session(session);
+
+  let restoredWeight = 0;
+  for (const allocation of allocations) {
+    const weight = Number(allocation.allocatedWeight || 0);
+    if (weight > 0) {
+      // Restored weight must not bring an archived lot back into stock.
+      await GroundInventoryLot.updateOne({ _id: allocation.lotId }, [
+        {
+          $set: {
+            remainingWeight: { $add: ['$remainingWeight', weight] },
+            status: { $cond: [{ $eq: ['$status', 'archived'] }, 'archived', 'available'] },
+          },
+        },
+      ], { session });
+      restoredWeight += weight;
+    }
+
+    allocation.reversedAt = new Date();
+    allocation.reversedBy = userId || null;
+    allocation.reversalReason = reason || '';
+    await allocation.save({ session });
+  }
+
+  return { reversedCount: allocations.length, restoredWeight };
+};
+
+// Fields carried from a voided BOL onto its replacement Draft. Completion, void and
+// allocation bookkeeping is intentionally left behind.
+const REISSUE_CLONE_FIELDS = [
+  'orderNumber',
+  'bolDate',
+  'customerName',
+  'customerLogo',
+  'shipperName',
+  'projectName',
+  'materialName',
+  'inventorySource',
+  'groundInventoryLot',
+  'secondaryGroundInventoryLot',
+  'groundAllocationStrategy',
+  'splitLoad',
+  'railcarID',
+  'secondaryRailcarID',
+  'railShipmentBolNumber',
+  'secondaryRailShipmentBolNumber',
+  'grossWeight',
+  'tareWeight',
+  'secondaryGrossWeight',
+  'secondaryTareWeight',
+  'weighInTime',
+  'weighOutTime',
+  'driverName',
+  'driver',
+  'truckID',
+  'trailerID',
+  'comments',
+];
+
 router.post('/', authorizeRoles(['internal', 'admin']), baseCreateValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -187,8 +453,23 @@ router.post('/', authorizeRoles(['internal', 'admin']), baseCreateValidation, as
   }
 
   const bolData = { ...req.body };
+  delete bolData.bolNumber;
+  [...LOAD_LIMIT_FIELDS, ...VOID_REISSUE_FIELDS].forEach((field) => delete bolData[field]);
   bolData.inventorySource = normalizeInventorySource(bolData.inventorySource);
 
+  let truckTare;
+  try {
+    truckTare = await resolveTruckTare(bolData);
+  } catch (err) {
+    console.error('Error looking up truck tare:', err);
+    return res.status(500).json({ message: 'Server error while looking up truck tare' });
+  }
+  if (!truckTare.ok) {
+    return res.status(400).json({ message: truckTare.message });
+  }
+  bolData.tareWeight = truckTare.tareWeight;
+  applyTruckTareToBol(bolData, truckTare);
+
   const requestedStatus = bolData.status || 'Draft';
   if (!['Draft', 'Completed'].includes(requestedStatus)) {
     return res.status(400).json({ message: 'Invalid status. Use Draft or Completed.' });
@@ -262,35 +543,48 @@ router.post('/', authorizeRoles(['internal', 'admin']), baseCreateValidation, as
       bolData.railShipmentBolNumber = '';
       bolData.secondaryRailShipmentBolNumber = '';
 
-      const lotCheck = await ensureGroundInventoryLotIsUsable({
-        lotId: bolData.groundInventoryLot,
-        customerId: bolData.customerName,
-        materialId: bolData.materialName,
-      });
-      if (!lotCheck.ok) {
-        return res.status(400).json({ message: lotCheck.message });
-      }
+      // Drafts without a lot are drawn automatically at completion.
+      const autoAllocateGround = !bolData.groundInventoryLot && bolData.status === 'Draft';
+      bolData.groundAllocationStrategy = autoAllocateGround
+        ? resolveGroundAllocationStrategy(bolData.groundAllocationStrategy)
+        : 'manual';
 
-      if (bolData.splitLoad) {
-        if (!bolData.secondaryGroundInventoryLot) {
-          return res.status(400).json({ message: 'Secondary ground inventory lot is required for split ground loads' });
-        }
-        if (String(bolData.secondaryGroundInventoryLot) === String(bolData.groundInventoryLot)) {
-          return res.status(400).json({ message: 'Primary and secondary ground inventory lots must be different' });
+      if (autoAllocateGround) {
+        if (bolData.secondaryGroundInventoryLot) {
+          return res.status(400).json({ message: 'A primary ground inventory lot is required when a secondary lot is specified' });
         }
-        const secondaryLotCheck = await ensureGroundInventoryLotIsUsable({
-          lotId: bolData.secondaryGroundInventoryLot,
+      } else {
+        const lotCheck = await ensureGroundInventoryLotIsUsable({
+          lotId: bolData.groundInventoryLot,
           customerId: bolData.customerName,
           materialId: bolData.materialName,
         });
-        if (!secondaryLotCheck.ok) {
-          return res.status(400).json({ message: secondaryLotCheck.message });
+        if (!lotCheck.ok) {
+          return res.status(400).json({ message: lotCheck.message });
+        }
+
+        if (bolData.splitLoad) {
+          if (!bolData.secondaryGroundInventoryLot) {
+            return res.status(400).json({ message: 'Secondary ground inventory lot is required for split ground loads' });
+          }
+          if (String(bolData.secondaryGroundInventoryLot) === String(bolData.groundInventoryLot)) {
+            return res.status(400).json({ message: 'Primary and secondary ground inventory lots must be different' });
+          }
+          const secondaryLotCheck = await ensureGroundInventoryLotIsUsable({
+            lotId: bolData.secondaryGroundInventoryLot,
+            customerId: bolData.customerName,
+            materialId: bolData.materialName,
+          });
+          if (!secondaryLotCheck.ok) {
+            return res.status(400).json({ message: secondaryLotCheck.message });
+          }
+        } else {
+          bolData.secondaryGroundInventoryLot = null;
         }
-      } else {
-        bolData.secondaryGroundInventoryLot = null;
       }
     } else {
       bolData.secondaryGroundInventoryLot = null;
+      bolData.groundAllocationStrategy = 'manual';
     }
 
     if (!bolData.railShipmentBolNumber && bolData.customerName && bolData.railcarID) {
@@ -300,9 +594,49 @@ router.post('/', authorizeRoles(['internal', 'admin']), baseCreateValidation, as
       });
     }
 
-    const newBOL = new BOL(bolData);
-    const savedBOL = await newBOL.save();
-    res.status(201).json({ message: 'BOL created successfully', bol: savedBOL });
+    if (bolData.status === 'Completed') {
+      // Split loads leave the scale at the secondary gross, as on completion.
+      const splitLoad = bolData.splitLoad === true || bolData.splitLoad === 'true';
+      const loadGrossWeight = splitLoad && createSecondaryGrossWeight != null ? createSecondaryGrossWeight : createGrossWeight;
+      const loadLimitCheck = await checkBolLoadLimit({
+        customerId: bolData.customerName,
+        materialId: bolData.materialName,
+        grossWeight: loadGrossWeight,
+        netWeight: loadGrossWeight - createTareWeight,
+        body: req.body,
+        user: req.user,
+      });
+      if (!loadLimitCheck.ok) {
+        return res.status(loadLimitCheck.status).json(loadLimitCheck.response);
+      }
+      Object.assign(bolData, loadLimitCheck.fields);
+    }
+
+    const signatureImage = trimToString(bolData.driverSignatureImage);
+    delete bolData.driverSignatureImage;
+
+    let savedBOL;
+    await mongoose.connection.transaction(async (session) => {
+      const newBOL = new BOL(bolData);
+      // Numbered inside the transaction so a failed save does not use up a sequence number.
+      if (newBOL.status === 'Completed') {
+        newBOL.bolNumber = await nextBolNumber({ customerId: newBOL.customerName, at: newBOL.completedAt, session });
+      }
+      if (signatureImage) {
+        newBOL.driverSignature = await createBolSignature({
+          imageData: signatureImage,
+          driverId: bolData.driver,
+          signedAt: bolData.signedAt,
+          userId: req.user.id,
+          session,
+        });
+      }
+      savedBOL = await newBOL.save({ session });
+      if (savedBOL.status === 'Completed') {
+        await applyBolToRailcarLedger(savedBOL, { session });
+      }
+    });
+    res.status(201).json({ message: 'BOL created successfully', bol: savedBOL, warnings: truckTare.warnings });
   } catch (err) {
     console.error('Error creating BOL:', err);
     res.status(500).json({ message: 'Server error while creating BOL' });
@@ -417,6 +751,7 @@ router.get('/reports/truck-weigh-ins', authorizeRoles(['internal', 'admin']), as
 
       return {
         bolId: String(bol._id),
+        bolNumber: bol.bolNumber || '',
         customerId,
         customerName,
         orderNumber: bol.orderNumber?.orderNumber || '',
@@ -458,6 +793,7 @@ router.get('/reports/truck-weigh-ins', authorizeRoles(['internal', 'admin']), as
       const header = [
         'Customer',
         'Order Number',
+        'BOL Number',
         'BOL ID',
         'BOL Date',
         'Weigh In Time',
@@ -474,6 +810,7 @@ router.get('/reports/truck-weigh-ins', authorizeRoles(['internal', 'admin']), as
       const csvRows = rows.map((row) => [
         row.customerName,
         row.orderNumber,
+        row.bolNumber,
         row.bolId,
         row.bolDate || '',
         row.weighInTime || '',
@@ -515,6 +852,317 @@ router.get('/reports/truck-weigh-ins', authorizeRoles(['internal', 'admin']), as
   }
 });
 
+router.get('/reports/load-times', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  try {
+    const monthWindow = parseMonthWindow(req.query.year, req.query.month);
+    if (!monthWindow) {
+      return res.status(400).json({ message: 'Invalid year/month query parameters' });
+    }
+
+    const query = {
+      status: 'Completed',
+      weighInTime: { $gte: monthWindow.start, $lt: monthWindow.end },
+      weighOutTime: { $ne: null },
+    };
+
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      if (!tokenCustomerId) {
+        return res.status(403).json({ message: 'Customer scope is missing from token' });
+      }
+      query.customerName = tokenCustomerId;
+    } else if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+
+    const bols = await BOL.find(query)
+      .sort({ weighInTime: 1 })
+      .populate('customerName', 'customerName loadGoalMinutes')
+      .populate('materialName', 'materialName refNum')
+      .populate('projectName', 'projectName')
+      .populate('orderNumber', 'orderNumber')
+      .lean();
+
+    const rows = [];
+    bols.forEach((bol) => {
+      const weighInTime = new Date(bol.weighInTime);
+      const weighOutTime = new Date(bol.weighOutTime);
+      const loadMinutes = (weighOutTime.getTime() - weighInTime.getTime()) / 60000;
+      if (!Number.isFinite(loadMinutes) || loadMinutes < 0) return;
+
+      const goalMinutes = Number(bol.customerName?.loadGoalMinutes || DEFAULT_LOAD_GOAL_MINUTES);
+      rows.push({
+        bolId: String(bol._id),
+        bolNumber: bol.bolNumber || '',
+        customerId: String(bol.customerName?._id || bol.customerName || ''),
+        customerName: bol.customerName?.customerName || 'Unknown Customer',
+        orderNumber: bol.orderNumber?.orderNumber || '',
+        materialId: String(bol.materialName?._id || bol.materialName || ''),
+        materialName: bol.materialName?.materialName || '',
+        locationId: String(bol.projectName?._id || bol.projectName || ''),
+        locationName: bol.projectName?.projectName || '',
+        day: weighInTime.toISOString().slice(0, 10),
+        weighInTime: weighInTime.toISOString(),
+        weighOutTime: weighOutTime.toISOString(),
+        truckID: bol.truckID || '',
+        loadMinutes: Math.round(loadMinutes * 10) / 10,
+        goalMinutes,
+        exceedsGoal: loadMinutes > goalMinutes,
+      });
+    });
+
+    const summarize = (keyOf, labelOf) => {
+      const groups = new Map();
+      rows.forEach((row) => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, { key, label: labelOf(row), rows: [] });
+        groups.get(key).rows.push(row);
+      });
+      return [...groups.values()]
+        .map((group) => ({
+          key: group.key,
+          label: group.label,
+          ...summarizeLoadMinutes(group.rows),
+        }))
+        .sort((a, b) => String(a.label).localeCompare(String(b.label), undefined, { sensitivity: 'base' }));
+    };
+
+    const byCustomer = summarize((row) => row.customerId, (row) => row.customerName);
+    const byMaterial = summarize((row) => `${row.customerId}|${row.materialId}`, (row) => `${row.customerName} - ${row.materialName}`);
+    const byLocation = summarize((row) => `${row.customerId}|${row.locationId}`, (row) => `${row.customerName} - ${row.locationName}`);
+    const byDay = summarize((row) => row.day, (row) => row.day);
+    const grandTotal = summarizeLoadMinutes(rows);
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const header = [
+        'Customer',
+        'BOL Number',
+        'Order Number',
+        'Day',
+        'Weigh In Time',
+        'Weigh Out Time',
+        'Load Minutes',
+        'Goal Minutes',
+        'Exceeds Goal',
+        'Material',
+        'Location',
+        'Truck ID',
+      ];
+
+      const csvRows = rows.map((row) => [
+        row.customerName,
+        row.bolNumber,
+        row.orderNumber,
+        row.day,
+        row.weighInTime,
+        row.weighOutTime,
+        row.loadMinutes,
+        row.goalMinutes,
+        row.exceedsGoal ? 'Yes' : 'No',
+        row.materialName,
+        row.locationName,
+        row.truckID,
+      ]);
+
+      const content = [header, ...csvRows]
+        .map((line) => line.map(csvEscape).join(','))
+        .join('\n');
+
+      const mm = String(monthWindow.month).padStart(2, '0');
+      const fileName = `load-times-${monthWindow.year}-${mm}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.status(200).send(content);
+    }
+
+    return res.status(200).json({
+      month: {
+        year: monthWindow.year,
+        month: monthWindow.month,
+        start: monthWindow.start.toISOString(),
+        end: monthWindow.end.toISOString(),
+      },
+      byCustomer,
+      byMaterial,
+      byLocation,
+      byDay,
+      grandTotal,
+      rows,
+    });
+  } catch (err) {
+    console.error('Error generating load time report:', err);
+    return res.status(500).json({ message: 'Server error while generating load time report' });
+  }
+});
+
+router.get('/reports/overweight-loads', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const monthWindow = parseMonthWindow(req.query.year, req.query.month);
+    if (!monthWindow) {
+      return res.status(400).json({ message: 'Invalid year/month query parameters' });
+    }
+
+    const query = {
+      status: 'Completed',
+      weighOutTime: { $gte: monthWindow.start, $lt: monthWindow.end },
+    };
+
+    if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+
+    const [bols, loadLimits] = await Promise.all([
+      BOL.find(query)
+        .sort({ weighOutTime: -1 })
+        .populate('customerName', 'customerName')
+        .populate('materialName', 'materialName refNum truckType')
+        .populate('projectName', 'projectName')
+        .populate('orderNumber', 'orderNumber')
+        .populate('overweightOverriddenBy', 'firstName lastName fullName')
+        .lean(),
+      loadActiveLoadLimits(),
+    ]);
+
+    const rows = [];
+    bols.forEach((bol) => {
+      const customerId = String(bol.customerName?._id || bol.customerName || '');
+      const truckType = bol.materialName?.truckType || '';
+      // BOLs completed since limits were introduced carry a snapshot; older ones use today's limits.
+      const hasSnapshot = bol.legalMaxGrossWeight != null || bol.legalMaxNetWeight != null;
+      const limit = hasSnapshot
+        ? { maxGrossWeight: bol.legalMaxGrossWeight, maxNetWeight: bol.legalMaxNetWeight }
+        : selectLoadLimit(loadLimits, { customerId, truckType });
+      const grossWeight = bol.splitLoad && bol.secondaryGrossWeight != null ? bol.secondaryGrossWeight : bol.grossWeight;
+      const netWeight = Number(bol.netWeight || 0);
+      const { isOverweight, violations } = evaluateLoadLimit(limit, { grossWeight, netWeight });
+      if (!isOverweight) return;
+
+      const overriddenBy = bol.overweightOverriddenBy;
+      rows.push({
+        bolId: String(bol._id),
+        bolNumber: bol.bolNumber || '',
+        customerId,
+        customerName: bol.customerName?.customerName || 'Unknown Customer',
+        orderNumber: bol.orderNumber?.orderNumber || '',
+        weighOutTime: bol.weighOutTime ? new Date(bol.weighOutTime).toISOString() : null,
+        truckID: bol.truckID || '',
+        trailerID: bol.trailerID || '',
+        materialName: bol.materialName?.materialName || '',
+        truckType,
+        locationName: bol.projectName?.projectName || '',
+        grossWeight: Number(grossWeight || 0),
+        netWeight,
+        maxGrossWeight: limit.maxGrossWeight ?? null,
+        maxNetWeight: limit.maxNetWeight ?? null,
+        violations,
+        overridden: Boolean(overriddenBy),
+        overriddenBy: overriddenBy
+          ? (overriddenBy.fullName || `${overriddenBy.firstName || ''} ${overriddenBy.lastName || ''}`.trim())
+          : '',
+        overriddenAt: bol.overweightOverriddenAt || null,
+        overrideReason: bol.overweightOverrideReason || '',
+      });
+    });
+
+    const byCustomerMap = new Map();
+    rows.forEach((row) => {
+      if (!byCustomerMap.has(row.customerId)) {
+        byCustomerMap.set(row.customerId, {
+          customerId: row.customerId,
+          customerName: row.customerName,
+          overweightCount: 0,
+          overriddenCount: 0,
+        });
+      }
+      const bucket = byCustomerMap.get(row.customerId);
+      bucket.overweightCount += 1;
+      if (row.overridden) bucket.overriddenCount += 1;
+    });
+
+    const byCustomer = [...byCustomerMap.values()].sort((a, b) =>
+      String(a.customerName).localeCompare(String(b.customerName), undefined, { sensitivity: 'base' })
+    );
+
+    const grandTotal = {
+      overweightCount: rows.length,
+      overriddenCount: rows.filter((row) => row.overridden).length,
+    };
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const header = [
+        'Customer',
+        'BOL Number',
+        'Order Number',
+        'Weigh Out Time',
+        'Truck ID',
+        'Trailer ID',
+        'Material',
+        'Truck Type',
+        'Location',
+        'Gross Weight',
+        'Net Weight',
+        'Max Gross Weight',
+        'Max Net Weight',
+        'Overridden',
+        'Overridden By',
+        'Overridden At',
+        'Override Reason',
+      ];
+
+      const csvRows = rows.map((row) => [
+        row.customerName,
+        row.bolNumber,
+        row.orderNumber,
+        row.weighOutTime || '',
+        row.truckID,
+        row.trailerID,
+        row.materialName,
+        row.truckType,
+        row.locationName,
+        row.grossWeight,
+        row.netWeight,
+        row.maxGrossWeight ?? '',
+        row.maxNetWeight ?? '',
+        row.overridden ? 'Yes' : 'No',
+        row.overriddenBy,
+        row.overriddenAt ? new Date(row.overriddenAt).toISOString() : '',
+        row.overrideReason,
+      ]);
+
+      const content = [header, ...csvRows]
+        .map((line) => line.map(csvEscape).join(','))
+        .join('\n');
+
+      const mm = String(monthWindow.month).padStart(2, '0');
+      const fileName = `overweight-loads-${monthWindow.year}-${mm}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.status(200).send(content);
+    }
+
+    return res.status(200).json({
+      month: {
+        year: monthWindow.year,
+        month: monthWindow.month,
+        start: monthWindow.start.toISOString(),
+        end: monthWindow.end.toISOString(),
+      },
+      byCustomer,
+      grandTotal,
+      rows,
+    });
+  } catch (err) {
+    console.error('Error generating overweight loads report:', err);
+    return res.status(500).json({ message: 'Server error while generating overweight loads report' });
+  }
+});
+
 router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
   try {
     const query = {};
@@ -560,6 +1208,13 @@ router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, r
       }
     }
 
+    if (req.query.bolNumber) {
+      const bolNumber = normalizeBolNumber(req.query.bolNumber);
+      if (bolNumber) {
+        query.bolNumber = { $regex: bolNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+      }
+    }
+
     if (req.query.orderId) {
       if (!isValidObjectId(req.query.orderId)) {
         return res.status(400).json({ message: 'Invalid orderId query parameter' });
@@ -583,7 +1238,9 @@ router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, r
       .populate('groundInventoryLot', 'startingWeight remainingWeight status sourceType sourceRailcarID sourceRailShipmentBolNumber')
       .populate('secondaryGroundInventoryLot', 'startingWeight remainingWeight status sourceType sourceRailcarID sourceRailShipmentBolNumber')
       .populate('createdBy', 'firstName lastName fullName')
-      .populate('completedBy', 'firstName lastName fullName');
+      .populate('completedBy', 'firstName lastName fullName')
+      .populate('voidedBy', 'firstName lastName fullName')
+      .populate('driver', 'firstName lastName fullName carrierName');
 
     res.status(200).json(bols);
   } catch (err) {
@@ -609,7 +1266,10 @@ router.get('/:id', authorizeRoles(['customer', 'internal', 'admin']), async (req
       .populate('groundInventoryLot', 'startingWeight remainingWeight status sourceType sourceRailcarID sourceRailShipmentBolNumber')
       .populate('secondaryGroundInventoryLot', 'startingWeight remainingWeight status sourceType sourceRailcarID sourceRailShipmentBolNumber')
       .populate('createdBy', 'firstName lastName fullName')
-      .populate('completedBy', 'firstName lastName fullName');
+      .populate('completedBy', 'firstName lastName fullName')
+      .populate('voidedBy', 'firstName lastName fullName')
+      .populate('driver', 'firstName lastName fullName carrierName')
+      .populate('driverSignature', 'imageData capturedAt');
 
     if (!bol) {
       return res.status(404).json({ message: 'BOL not found' });
@@ -645,6 +1305,10 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
       return res.status(400).json({ message: 'Completed BOLs are locked and cannot be modified' });
     }
 
+    if (bol.status === 'Voided') {
+      return res.status(400).json({ message: 'Voided BOLs cannot be completed. Reissue the BOL instead.' });
+    }
+
     const requiredRefFields = ['customerName', 'shipperName', 'projectName', 'materialName'];
     const missingBeforeBackfill = requiredRefFields.filter((field) => !bol[field]);
 
@@ -673,7 +1337,22 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
     const inventorySource = normalizeInventorySource(req.body.inventorySource || bol.inventorySource);
     const groundInventoryLotId = req.body.groundInventoryLot || bol.groundInventoryLot;
     const secondaryGroundInventoryLotId = req.body.secondaryGroundInventoryLot || bol.secondaryGroundInventoryLot;
-    if (inventorySource === 'ground') {
+    // Without a chosen lot the net weight is drawn across the customer's lots of this material.
+    const autoAllocateGround = inventorySource === 'ground' && !groundInventoryLotId;
+    let groundAllocationStrategy = 'manual';
+    if (autoAllocateGround) {
+      if (secondaryGroundInventoryLotId) {
+        return res.status(400).json({ message: 'A primary ground inventory lot is required when a secondary lot is specified' });
+      }
+      const linkedOrder = bol.orderNumber
+        ? await Order.findById(bol.orderNumber).select('groundAllocationStrategy').lean()
+        : null;
+      groundAllocationStrategy = resolveGroundAllocationStrategy(
+        req.body.groundAllocationStrategy,
+        bol.groundAllocationStrategy,
+        linkedOrder?.groundAllocationStrategy
+      );
+    } else if (inventorySource === 'ground') {
       const lotCheck = await ensureGroundInventoryLotIsUsable({
         lotId: groundInventoryLotId,
         customerId: bol.customerName,
@@ -720,8 +1399,40 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
       }
     }
 
+    let driver = null;
+    if (req.body.driverId) {
+      driver = await Driver.findById(req.body.driverId).select('firstName lastName signature signatureConsentAt isActive');
+      if (!driver) {
+        return res.status(404).json({ message: 'Driver not found' });
+      }
+      if (driver.isActive === false) {
+        return res.status(400).json({ message: 'Inactive drivers cannot be assigned to a BOL' });
+      }
+    }
+
+    // A signature captured at the scale house wins over the driver's stored signature.
+    const capturedSignatureImage = trimToString(req.body.driverSignatureImage);
+    const storedDriverSignatureId = driver?.signatureConsentAt ? driver.signature : null;
+    if (!capturedSignatureImage && !storedDriverSignatureId) {
+      return res.status(400).json({ message: 'Driver signature is required. The selected driver has no stored signature on file.' });
+    }
+
+    // A tare captured from the scale onto the Draft counts as weighed when the body leaves tare out.
+    const bodyTareWeight = req.body.tareWeight == null || req.body.tareWeight === '' ? null : req.body.tareWeight;
+    const truckTare = await resolveTruckTare({
+      truckID: bol.truckID,
+      trailerID: bol.trailerID,
+      tareWeight: bodyTareWeight ?? (bol.tareCapturedAt && bol.tareWeight != null ? bol.tareWeight : null),
+    });
+    if (!truckTare.ok) {
+      return res.status(400).json({ message: truckTare.message });
+    }
+    if (truckTare.tareWeight == null) {
+      return res.status(400).json({ message: 'Tare weight is required when the truck has no stored tare' });
+    }
+
     const primaryGrossWeight = Number(req.body.grossWeight);
-    const primaryTareWeight = Number(req.body.tareWeight);
+    const primaryTareWeight = Number(truckTare.tareWeight);
     if (!Number.isFinite(primaryGrossWeight) || !Number.isFinite(primaryTareWeight)) {
       return res.status(400).json({ message: 'Primary gross/tare weights must be valid numbers' });
     }
@@ -754,11 +1465,40 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
       }
     }
 
+    // Split loads leave the scale at the secondary gross, which is the truck's final weight.
+    const loadGrossWeight = splitLoad ? secondaryGrossWeight : primaryGrossWeight;
+    const loadNetWeight = loadGrossWeight - primaryTareWeight;
+    const loadLimitCheck = await checkBolLoadLimit({
+      customerId: bol.customerName,
+      materialId: bol.materialName,
+      grossWeight: loadGrossWeight,
+      netWeight: loadNetWeight,
+      body: req.body,
+      user: req.user,
+    });
+    if (!loadLimitCheck.ok) {
+      return res.status(loadLimitCheck.status).json(loadLimitCheck.response);
+    }
+    Object.assign(bol, loadLimitCheck.fields);
+
+    // Weights typed over a scale capture are no longer scale-sourced.
+    if (
+      bol.weightSource === 'scale'
+      && (
+        (bol.grossCapturedAt && Number(bol.grossWeight) !== primaryGrossWeight)
+        || (bol.tareCapturedAt && Number(bol.tareWeight) !== primaryTareWeight)
+      )
+    ) {
+      bol.weightSource = 'manual';
+    }
+
     bol.grossWeight = primaryGrossWeight;
     bol.tareWeight = primaryTareWeight;
+    applyTruckTareToBol(bol, truckTare);
     bol.inventorySource = inventorySource;
     bol.groundInventoryLot = inventorySource === 'ground' ? groundInventoryLotId : null;
     bol.secondaryGroundInventoryLot = inventorySource === 'ground' && splitLoad ? secondaryGroundInventoryLotId : null;
+    bol.groundAllocationStrategy = groundAllocationStrategy;
     bol.splitLoad = splitLoad;
     bol.railcarID = inventorySource === 'ground' ? '' : trimToString(bol.railcarID);
     bol.secondaryRailcarID = inventorySource === 'ground' ? '' : splitLoad ? String(req.body.secondaryRailcarID || '').trim() : '';
@@ -768,8 +1508,9 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
     bol.secondaryTonWeight = null;
     bol.weighInTime = weighInTime;
     bol.weighOutTime = weighOutTime;
-    bol.driverName = String(req.body.driverName || '').trim();
-    bol.driverSignatureImage = req.body.driverSignatureImage;
+    bol.driver = driver?._id || null;
+    bol.driverName = trimToString(req.body.driverName) || driver?.fullName || '';
+    bol.driverSignatureImage = undefined;
     bol.signedAt = req.body.signedAt ? new Date(req.body.signedAt) : new Date();
     bol.comments = req.body.comments ?? bol.comments;
 
@@ -794,8 +1535,6 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
     let consumedWeight = null;
     let consumedPrimaryWeight = null;
     let consumedSecondaryWeight = null;
-    let consumedPrimaryLot = null;
-    let consumedSecondaryLot = null;
     if (inventorySource === 'ground') {
       consumedPrimaryWeight = primaryGrossWeight - primaryTareWeight;
       consumedSecondaryWeight = splitLoad ? (secondaryGrossWeight - secondaryTareWeight) : 0;
@@ -806,36 +1545,6 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
       if (consumedPrimaryWeight < 0 || consumedSecondaryWeight < 0 || consumedWeight < 0) {
         return res.status(400).json({ message: 'Computed ground inventory consumption cannot be negative' });
       }
-
-      const consumePrimaryResult = await consumeGroundInventoryLot({
-        lotId: bol.groundInventoryLot,
-        customerId: bol.customerName,
-        materialId: bol.materialName,
-        weight: consumedPrimaryWeight,
-      });
-      if (!consumePrimaryResult.ok) {
-        return res.status(400).json({ message: consumePrimaryResult.message });
-      }
-      consumedPrimaryLot = consumePrimaryResult.lot;
-
-      if (splitLoad) {
-        const consumeSecondaryResult = await consumeGroundInventoryLot({
-          lotId: bol.secondaryGroundInventoryLot,
-          customerId: bol.customerName,
-          materialId: bol.materialName,
-          weight: consumedSecondaryWeight,
-        });
-        if (!consumeSecondaryResult.ok) {
-          if (consumedPrimaryLot && Number(consumedPrimaryWeight || 0) > 0) {
-            await GroundInventoryLot.findByIdAndUpdate(consumedPrimaryLot._id, {
-              $inc: { remainingWeight: consumedPrimaryWeight },
-              $set: { status: 'available' },
-            });
-          }
-          return res.status(400).json({ message: consumeSecondaryResult.message });
-        }
-        consumedSecondaryLot = consumeSecondaryResult.lot;
-      }
     }
 
     bol.status = 'Completed';
@@ -844,60 +1553,99 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
     bol.groundInventoryAllocatedWeight = inventorySource === 'ground' ? consumedWeight : null;
     bol.secondaryGroundInventoryAllocatedWeight = inventorySource === 'ground' && splitLoad ? consumedSecondaryWeight : null;
 
+    // Lot decrement, BOL save and allocation insert commit or roll back together.
     let saved;
-    try {
-      saved = await bol.save();
-    } catch (saveErr) {
+    let groundAllocations = [];
+    await mongoose.connection.transaction(async (session) => {
+      const allocationsToCreate = [];
+
       if (inventorySource === 'ground') {
-        if (consumedPrimaryLot && Number(consumedPrimaryWeight || 0) > 0) {
-          await GroundInventoryLot.findByIdAndUpdate(consumedPrimaryLot._id, {
-            $inc: { remainingWeight: consumedPrimaryWeight },
-            $set: { status: 'available' },
+        let lotConsumptions;
+        if (autoAllocateGround) {
+          const plan = await planGroundLotDraws({
+            customerId: bol.customerName,
+            materialId: bol.materialName,
+            weight: consumedWeight,
+            strategy: groundAllocationStrategy,
+            session,
           });
+          if (!plan.ok) {
+            throw createHttpError(400, plan.message);
+          }
+          // The first two lots fill the BOL's lot fields; allocations hold every lot drawn.
+          lotConsumptions = plan.draws;
+          bol.groundInventoryLot = plan.draws[0]?.lotId || null;
+          bol.secondaryGroundInventoryLot = plan.draws[1]?.lotId || null;
+          bol.secondaryGroundInventoryAllocatedWeight = plan.draws[1]?.weight ?? null;
+        } else {
+          lotConsumptions = [{ lotId: bol.groundInventoryLot, weight: consumedPrimaryWeight }];
+          if (splitLoad) {
+            lotConsumptions.push({ lotId: bol.secondaryGroundInventoryLot, weight: consumedSecondaryWeight });
+          }
         }
-        if (consumedSecondaryLot && Number(consumedSecondaryWeight || 0) > 0) {
-          await GroundInventoryLot.findByIdAndUpdate(consumedSecondaryLot._id, {
-            $inc: { remainingWeight: consumedSecondaryWeight },
-            $set: { status: 'available' },
+
+        for (const consumption of lotConsumptions) {
+          const consumeResult = await consumeGroundInventoryLot({
+            lotId: consumption.lotId,
+            customerId: bol.customerName,
+            materialId: bol.materialName,
+            weight: consumption.weight,
+            session,
           });
+          if (!consumeResult.ok) {
+            throw createHttpError(400, consumeResult.message);
+          }
+          if (Number(consumption.weight || 0) > 0) {
+            allocationsToCreate.push({
+              lotId: consumeResult.lot._id,
+              bolId: bol._id,
+              customerName: bol.customerName,
+              materialName: bol.materialName,
+              allocatedWeight: consumption.weight,
+              allocationType: 'bol_completion',
+              createdBy: req.user.id,
+            });
+          }
         }
       }
-      throw saveErr;
-    }
 
-    if (inventorySource === 'ground') {
-      const allocationsToCreate = [];
-      if (consumedPrimaryLot && Number(consumedPrimaryWeight || 0) > 0) {
-        allocationsToCreate.push({
-          lotId: consumedPrimaryLot._id,
-          bolId: saved._id,
-          customerName: saved.customerName,
-          materialName: saved.materialName,
-          allocatedWeight: consumedPrimaryWeight,
-          allocationType: 'bol_completion',
-          createdBy: req.user.id,
-        });
-      }
-      if (consumedSecondaryLot && Number(consumedSecondaryWeight || 0) > 0) {
-        allocationsToCreate.push({
-          lotId: consumedSecondaryLot._id,
-          bolId: saved._id,
-          customerName: saved.customerName,
-          materialName: saved.materialName,
-          allocatedWeight: consumedSecondaryWeight,
-          allocationType: 'bol_completion',
-          createdBy: req.user.id,
+      if (capturedSignatureImage) {
+        bol.driverSignature = await createBolSignature({
+          imageData: capturedSignatureImage,
+          driverId: bol.driver,
+          signedAt: bol.signedAt,
+          userId: req.user.id,
+          session,
         });
+      } else {
+        bol.driverSignature = storedDriverSignatureId;
       }
-      if (allocationsToCreate.length) {
-        await GroundInventoryAllocation.insertMany(allocationsToCreate);
+
+      if (!bol.bolNumber) {
+        bol.bolNumber = await nextBolNumber({ customerId: bol.customerName, at: bol.completedAt, session });
       }
-    }
 
-    res.status(200).json({ message: 'BOL completed successfully', bol: saved });
+      saved = await bol.save({ session });
+      await applyBolToRailcarLedger(saved, { session });
+
+      groundAllocations = allocationsToCreate.length
+        ? await GroundInventoryAllocation.insertMany(allocationsToCreate, { session })
+        : [];
+    });
+
+    res.status(200).json({
+      message: 'BOL completed successfully',
+      bol: saved,
+      groundAllocations,
+      warnings: truckTare.warnings,
+    });
   } catch (err) {
     console.error('Error completing BOL:', err);
 
+    if (err?.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+
     if (err?.name === 'ValidationError' || err?.name === 'CastError') {
       return res.status(400).json({ message: err.message });
     }
@@ -910,6 +1658,130 @@ router.put('/:id/complete', authorizeRoles(['internal', 'admin']), completionVal
   }
 });
 
+router.post(
+  '/:id/void',
+  authorizeRoles(['internal', 'admin']),
+  [body('reason').trim().notEmpty().withMessage('Void reason is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid BOL id' });
+    }
+
+    try {
+      const bol = await BOL.findById(req.params.id);
+      if (!bol) {
+        return res.status(404).json({ message: 'BOL not found' });
+      }
+
+      if (bol.status === 'Voided') {
+        return res.status(400).json({ message: 'BOL is already voided' });
+      }
+
+      if (bol.status !== 'Completed') {
+        return res.status(400).json({ message: 'Only Completed BOLs can be voided. Delete the Draft instead.' });
+      }
+
+      const reason = trimToString(req.body.reason);
+      bol.status = 'Voided';
+      bol.voidedAt = new Date();
+      bol.voidedBy = req.user.id;
+      bol.voidReason = reason;
+
+      let reversal = { reversedCount: 0, restoredWeight: 0 };
+      let saved;
+      await mongoose.connection.transaction(async (session) => {
+        if (bol.inventorySource === 'ground') {
+          reversal = await reverseGroundInventoryAllocationsForBol({
+            bolId: bol._id,
+            userId: req.user.id,
+            reason: `BOL voided: ${reason}`,
+            session,
+          });
+        }
+        saved = await bol.save({ session });
+        await removeBolFromRailcarLedger(saved, { session });
+      });
+
+      return res.status(200).json({
+        message: 'BOL voided successfully',
+        bol: saved,
+        groundInventoryReversal: reversal,
+      });
+    } catch (err) {
+      console.error('Error voiding BOL:', err);
+      return res.status(500).json({ message: 'Server error while voiding BOL' });
+    }
+  }
+);
+
+router.post('/:id/reissue', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid BOL id' });
+  }
+
+  try {
+    const original = await BOL.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({ message: 'BOL not found' });
+    }
+
+    if (original.status !== 'Voided') {
+      return res.status(400).json({ message: 'Only Voided BOLs can be reissued' });
+    }
+
+    if (original.reissuedTo) {
+      return res.status(409).json({
+        message: 'BOL has already been reissued',
+        reissuedTo: original.reissuedTo,
+      });
+    }
+
+    const draftData = {};
+    REISSUE_CLONE_FIELDS.forEach((field) => {
+      if (original[field] !== undefined) {
+        draftData[field] = original[field];
+      }
+    });
+    // Automatically drawn lots are re-drawn when the replacement is completed.
+    if (draftData.groundAllocationStrategy && draftData.groundAllocationStrategy !== 'manual') {
+      draftData.groundInventoryLot = null;
+      draftData.secondaryGroundInventoryLot = null;
+    }
+    draftData.status = 'Draft';
+    draftData.reissuedFrom = original._id;
+    draftData.createdBy = req.user.id;
+    draftData._id = new mongoose.Types.ObjectId();
+
+    // Claiming the original first means only one of two concurrent reissues creates a Draft.
+    let reissued;
+    let claimedOriginal;
+    await mongoose.connection.transaction(async (session) => {
+      claimedOriginal = await BOL.findOneAndUpdate(
+        { _id: original._id, status: 'Voided', reissuedTo: null },
+        { $set: { reissuedTo: draftData._id } },
+        { new: true, session }
+      );
+      if (!claimedOriginal) {
+        throw createHttpError(409, 'BOL has already been reissued');
+      }
+      reissued = await new BOL(draftData).save({ session });
+    });
+
+    return res.status(201).json({ message: 'BOL reissued as a new Draft', bol: reissued, original: claimedOriginal });
+  } catch (err) {
+    console.error('Error reissuing BOL:', err);
+    if (err?.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    return res.status(500).json({ message: 'Server error while reissuing BOL' });
+  }
+});
+
 router.put('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
   try {
     const existingBOL = await BOL.findById(req.params.id);
@@ -921,7 +1793,31 @@ router.put('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
       return res.status(400).json({ message: 'Completed BOLs are locked and cannot be modified' });
     }
 
-    const updatedBOL = await BOL.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    if (existingBOL.status === 'Voided') {
+      return res.status(400).json({ message: 'Voided BOLs cannot be modified' });
+    }
+
+    const payload = { ...req.body };
+    // Status changes go through completion and void, which enforce their own checks.
+    ['bolNumber', 'status', 'completedAt', 'completedBy', ...LOAD_LIMIT_FIELDS, ...VOID_REISSUE_FIELDS]
+      .forEach((field) => delete payload[field]);
+    const signatureImage = trimToString(payload.driverSignatureImage);
+    delete payload.driverSignatureImage;
+
+    let updatedBOL;
+    await mongoose.connection.transaction(async (session) => {
+      const update = { ...payload };
+      if (signatureImage) {
+        update.driverSignature = await createBolSignature({
+          imageData: signatureImage,
+          driverId: payload.driver ?? existingBOL.driver,
+          signedAt: payload.signedAt ?? existingBOL.signedAt,
+          userId: req.user.id,
+          session,
+        });
+      }
+      updatedBOL = await BOL.findByIdAndUpdate(req.params.id, update, { new: true, session });
+    });
     res.status(200).json({ message: 'BOL updated successfully', bol: updatedBOL });
   } catch (err) {
     console.error('Error updating BOL:', err);
@@ -942,7 +1838,8 @@ router.post('/:id/email', authorizeRoles(['internal', 'admin']), async (req, res
           { path: 'materialName', select: 'materialName refNum' },
         ],
       })
-      .populate('customerName', 'customerName customerLogo customerAddress1 customerAddress2 customerCity customerState customerZip');
+      .populate('customerName', 'customerName customerLogo customerAddress1 customerAddress2 customerCity customerState customerZip')
+      .populate('driverSignature', 'imageData');
 
     if (!bol) {
       return res.status(404).json({ message: 'BOL not found' });
@@ -975,6 +1872,7 @@ router.post('/:id/email', authorizeRoles(['internal', 'admin']), async (req, res
     const material = bol.orderNumber?.materialName || {};
     const shipper = bol.orderNumber?.shipperName || {};
     const orderNo = bol.orderNumber?.orderNumber || 'N/A';
+    const bolNumberText = bol.bolNumber || String(bol._id);
     const bolDateText = bol.bolDate ? new Date(bol.bolDate).toLocaleString() : 'N/A';
     const weighOutText = bol.weighOutTime ? new Date(bol.weighOutTime).toLocaleString() : 'N/A';
     const webBaseUrl = process.env.WEB_BASE_URL || process.env.FRONTEND_BASE_URL || '';
@@ -989,13 +1887,13 @@ router.post('/:id/email', authorizeRoles(['internal', 'admin']), async (req, res
     ]) || 'N/A';
 
     const locationAddress = project.fullAddress || 'N/A';
-    const subject = `Completed BOL ${orderNo} - ${customer.customerName || 'Customer'}`;
+    const subject = `Completed BOL ${bolNumberText} - ${customer.customerName || 'Customer'}`;
 
     const textLines = [
       'A BOL has been completed.',
       '',
       `Order Number: ${orderNo}`,
-      `BOL ID: ${bol._id}`,
+      `BOL Number: ${bolNumberText}`,
       `BOL Date: ${bolDateText}`,
       `Completed At: ${weighOutText}`,
       `Customer: ${customer.customerName || 'N/A'}`,
@@ -1018,7 +1916,7 @@ router.post('/:id/email', authorizeRoles(['internal', 'admin']), async (req, res
         <p style="margin-top: 0;">A BOL has been completed and is available for review.</p>
         <table style="border-collapse: collapse; width: 100%; max-width: 760px;">
           <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>Order Number</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${orderNo}</td></tr>
-          <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>BOL ID</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${bol._id}</td></tr>
+          <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>BOL Number</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${bolNumberText}</td></tr>
           <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>BOL Date</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${bolDateText}</td></tr>
           <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>Completed At</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${weighOutText}</td></tr>
           <tr><td style="padding: 6px; border: 1px solid #d1d5db;"><strong>Customer</strong></td><td style="padding: 6px; border: 1px solid #d1d5db;">${customer.customerName || 'N/A'}</td></tr>
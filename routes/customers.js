@@ -34,6 +34,26 @@ const parseLoadGoalMinutesInput = (value) => {
 
   return { provided: true, value: rounded };
 };
+const DEMURRAGE_FIELDS = {
+  demurrageFreeDays: 'Demurrage free days',
+  demurrageDailyRate: 'Demurrage daily rate',
+};
+const parseDemurrageSettingsInput = (payload = {}) => {
+  const values = {};
+  for (const [field, label] of Object.entries(DEMURRAGE_FIELDS)) {
+    if (payload[field] === undefined) continue;
+    if (payload[field] === null || String(payload[field]).trim() === '') {
+      values[field] = 0;
+      continue;
+    }
+    const parsed = Number(payload[field]);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      return { error: `${label} must be a non-negative number` };
+    }
+    values[field] = field === 'demurrageFreeDays' ? Math.floor(parsed) : parsed;
+  }
+  return { values };
+};
 const parseGroundInventoryToggleInput = (value) => {
   if (value === undefined) return { provided: false };
   if (typeof value === 'boolean') return { provided: true, value };
@@ -104,6 +124,12 @@ router.post(
         payload.enableGroundInventory = parsedGroundInventory.value;
       }
 
+      const parsedDemurrage = parseDemurrageSettingsInput(payload);
+      if (parsedDemurrage.error) {
+        return res.status(400).json({ message: parsedDemurrage.error });
+      }
+      Object.assign(payload, parsedDemurrage.values);
+
       const newCustomer = new Customer(payload);
       const savedCustomer = await newCustomer.save();
       res.status(201).json({ message: 'Customer created successfully', customer: savedCustomer });
@@ -223,6 +249,12 @@ router.put('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
       setPayload.enableGroundInventory = parsedGroundInventory.value;
     }
 
+    const parsedDemurrage = parseDemurrageSettingsInput(payload);
+    if (parsedDemurrage.error) {
+      return res.status(400).json({ message: parsedDemurrage.error });
+    }
+    Object.assign(setPayload, parsedDemurrage.values);
+
     const updateDoc = { $set: setPayload };
     if (Object.keys(unsetPayload).length > 0) {
       updateDoc.$unset = unsetPayload;
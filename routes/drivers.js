@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const Driver = require('../models/Driver');
+const Signature = require('../models/Signature');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const driverValidation = [
+  body('carrierName').trim().notEmpty().withMessage('Carrier is required'),
+  body('firstName').trim().notEmpty().withMessage('First name is required'),
+  body('lastName').trim().notEmpty().withMessage('Last name is required'),
+  body('phone').optional().isString().withMessage('Phone must be text'),
+  body('licenseNumber').optional().isString().withMessage('License number must be text'),
+  body('licenseState').optional().isString().withMessage('License state must be text'),
+  body('licenseExpiresAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('License expiration must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('Is Active must be true or false'),
+];
+
+const buildDriverPayload = (input = {}) => {
+  const payload = {
+    carrierName: String(input.carrierName || '').trim(),
+    firstName: String(input.firstName || '').trim(),
+    lastName: String(input.lastName || '').trim(),
+    phone: String(input.phone || '').trim(),
+    licenseNumber: String(input.licenseNumber || '').trim(),
+    licenseState: String(input.licenseState || '').trim(),
+    licenseExpiresAt: input.licenseExpiresAt ? new Date(input.licenseExpiresAt) : null,
+  };
+  if (input.isActive !== undefined) {
+    payload.isActive = input.isActive === true || input.isActive === 'true';
+  }
+  return payload;
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (String(req.query.includeInactive || '').toLowerCase() !== 'true') {
+      query.isActive = { $ne: false };
+    }
+    if (req.query.carrierName) {
+      query.carrierName = String(req.query.carrierName).trim();
+    }
+
+    const drivers = await Driver.find(query).sort({ carrierName: 1, lastName: 1, firstName: 1 });
+    res.status(200).json(drivers);
+  } catch (err) {
+    console.error('Error fetching drivers:', err);
+    res.status(500).json({ message: 'Server error while fetching drivers' });
+  }
+});
+
+router.get('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid driver id' });
+  }
+
+  try {
+    const driver = await Driver.findById(req.params.id).populate('signature', 'imageData capturedAt');
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+    res.status(200).json(driver);
+  } catch (err) {
+    console.error('Error fetching driver:', err);
+    res.status(500).json({ message: 'Server error while fetching driver' });
+  }
+});
+
+router.post('/', authorizeRoles(['internal', 'admin']), driverValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const driver = await Driver.create({
+      ...buildDriverPayload(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    res.status(201).json({ message: 'Driver created successfully', driver });
+  } catch (err) {
+    console.error('Error creating driver:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A driver with this license already exists' });
+    }
+    res.status(500).json({ message: 'Server error while creating driver' });
+  }
+});
+
+router.put('/:id', authorizeRoles(['internal', 'admin']), driverValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid driver id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const driver = await Driver.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...buildDriverPayload(req.body), updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+    res.status(200).json({ message: 'Driver updated successfully', driver });
+  } catch (err) {
+    console.error('Error updating driver:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A driver with this license already exists' });
+    }
+    res.status(500).json({ message: 'Server error while updating driver' });
+  }
+});
+
+router.put(
+  '/:id/signature',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('signatureImage').notEmpty().withMessage('Signature image is required'),
+    body('consent')
+      .custom((value) => value === true || value === 'true')
+      .withMessage('Driver consent is required to store a reusable signature'),
+  ],
+  async (req, res) => {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid driver id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const driver = await Driver.findById(req.params.id);
+      if (!driver) {
+        return res.status(404).json({ message: 'Driver not found' });
+      }
+
+      const signature = await Signature.create({
+        imageData: req.body.signatureImage,
+        source: 'driver_profile',
+        driver: driver._id,
+        capturedBy: req.user.id,
+      });
+
+      driver.signature = signature._id;
+      driver.signatureConsentAt = new Date();
+      driver.updatedBy = req.user.id;
+      await driver.save();
+
+      res.status(200).json({ message: 'Driver signature stored', driver });
+    } catch (err) {
+      console.error('Error storing driver signature:', err);
+      res.status(500).json({ message: 'Server error while storing driver signature' });
+    }
+  }
+);
+
+// Revokes reuse of the stored signature. The image itself stays, since completed BOLs may reference it.
+router.delete('/:id/signature', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid driver id' });
+  }
+
+  try {
+    const driver = await Driver.findByIdAndUpdate(
+      req.params.id,
+      { $set: { signature: null, signatureConsentAt: null, updatedBy: req.user.id } },
+      { new: true }
+    );
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+    res.status(200).json({ message: 'Driver signature removed', driver });
+  } catch (err) {
+    console.error('Error removing driver signature:', err);
+    res.status(500).json({ message: 'Server error while removing driver signature' });
+  }
+});
+
+router.delete('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid driver id' });
+  }
+
+  try {
+    const driver = await Driver.findByIdAndDelete(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+    res.status(200).json({ message: 'Driver deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting driver:', err);
+    res.status(500).json({ message: 'Server error while deleting driver' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { isValidObjectId } = require('mongoose');
+const mongoose = require('mongoose');
+const { isValidObjectId } = mongoose;
 const GroundInventoryLot = require('../models/GroundInventoryLot');
 const GroundInventoryAllocation = require('../models/GroundInventoryAllocation');
 const Customer = require('../models/Customer');
 const Material = require('../models/Material');
+const Project = require('../models/Project');
+const GroundInventoryCount = require('../models/GroundInventoryCount');
 const {
   requireAuth,
   authorizeRoles,
@@ -21,6 +24,207 @@ const parseStatusFilter = (value) => {
   return null;
 };
 
+const createHttpError = (status, message) => Object.assign(new Error(message), { status });
+
+const loadTransferableLot = async (lotId, session = null) => {
+  const lot = await GroundInventoryLot.findById(lotId).session(session);
+  if (!lot) throw createHttpError(404, `Ground inventory lot ${lotId} not found`);
+  if (lot.status === 'archived') throw createHttpError(400, `Ground inventory lot ${lotId} is archived`);
+  return lot;
+};
+
+const assertSameCustomerMaterial = (lot, otherLot) => {
+  if (String(lot.customerName) !== String(otherLot.customerName)
+    || String(lot.materialName) !== String(otherLot.materialName)) {
+    throw createHttpError(400, 'Lots must belong to the same customer and material');
+  }
+};
+
+const ensureLocationExists = async (locationId) => {
+  if (!locationId) return null;
+  if (!isValidObjectId(locationId)) throw createHttpError(400, 'Location is invalid');
+  const location = await Project.findById(locationId).select('_id');
+  if (!location) throw createHttpError(404, 'Location not found');
+  return location._id;
+};
+
+// New lots that only receive transferred weight start at zero; the paired transfer-in
+// allocation is what raises their remaining weight.
+const createTransferTargetLot = async ({ sourceLot, locationName, userId, notes, session }) => {
+  const [lot] = await GroundInventoryLot.create([{
+    customerName: sourceLot.customerName,
+    materialName: sourceLot.materialName,
+    sourceType: 'lot_transfer',
+    sourceLotId: sourceLot._id,
+    sourceRailcarID: sourceLot.sourceRailcarID || '',
+    sourceRailShipmentBolNumber: sourceLot.sourceRailShipmentBolNumber || '',
+    locationName: locationName === undefined ? sourceLot.locationName : locationName,
+    startingWeight: 0,
+    remainingWeight: 0,
+    receivedAt: new Date(),
+    receivedBy: userId || null,
+    status: 'available',
+    notes: notes || '',
+  }], { session });
+  return lot;
+};
+
+// Moves weight between two lots and records the balancing pair of lot_transfer allocations.
+const moveLotWeight = async ({ sourceLot, targetLot, weight, kind, transferGroup, userId, notes = '', session }) => {
+  const source = await GroundInventoryLot.findOneAndUpdate(
+    { _id: sourceLot._id, status: { $ne: 'archived' }, remainingWeight: { $gte: weight } },
+    { $inc: { remainingWeight: -weight } },
+    { new: true, session }
+  );
+  if (!source) {
+    throw createHttpError(409, `Ground inventory lot ${sourceLot._id} does not have ${weight} remaining`);
+  }
+  const sourceStatus = Number(source.remainingWeight || 0) > 0 ? 'available' : 'depleted';
+  if (source.status !== sourceStatus) {
+    source.status = sourceStatus;
+    await source.save({ session });
+  }
+
+  await GroundInventoryLot.updateOne(
+    { _id: targetLot._id },
+    { $inc: { remainingWeight: weight }, $set: { status: 'available' } },
+    { session }
+  );
+
+  const shared = {
+    customerName: source.customerName,
+    materialName: source.materialName,
+    allocationType: 'lot_transfer',
+    transferGroup,
+    transferKind: kind,
+    createdBy: userId || null,
+    notes,
+  };
+  await GroundInventoryAllocation.insertMany([
+    { ...shared, lotId: source._id, counterpartLotId: targetLot._id, allocatedWeight: weight },
+    { ...shared, lotId: targetLot._id, counterpartLotId: source._id, allocatedWeight: -weight },
+  ], { session });
+};
+
+const respondWithLotError = (res, err, logMessage, responseMessage) => {
+  if (err?.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  console.error(logMessage, err);
+  return res.status(500).json({ message: responseMessage });
+};
+
+const csvEscape = (value) => {
+  const raw = value == null ? '' : String(value);
+  if (/[",\n\r]/.test(raw)) {
+    return `"${raw.replace(/"/g, '""')}"`;
+  }
+  return raw;
+};
+
+const roundWeight = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Review view of a count session: variances are measured against the lot's current book
+// weight, since BOLs may have shipped from the pile after the count was opened.
+const describeCountSession = async (count) => {
+  const lots = await GroundInventoryLot.find({ _id: { $in: count.lines.map((line) => line.lotId) } })
+    .select('remainingWeight status')
+    .lean();
+  const lotsById = new Map(lots.map((lot) => [String(lot._id), lot]));
+
+  const lines = count.lines.map((line) => {
+    const lot = lotsById.get(String(line.lotId?._id || line.lotId));
+    const currentBookWeight = count.status === 'draft' ? Number(lot?.remainingWeight || 0) : line.bookWeight;
+    const measured = line.measuredWeight;
+    const varianceWeight = measured == null ? null : roundWeight(measured - currentBookWeight);
+    return {
+      ...line,
+      currentBookWeight,
+      varianceWeight,
+      variancePercent: varianceWeight == null || currentBookWeight === 0
+        ? null
+        : Math.round((varianceWeight / currentBookWeight) * 10000) / 100,
+    };
+  });
+
+  const counted = lines.filter((line) => line.measuredWeight != null);
+  return {
+    ...count,
+    lines,
+    totals: {
+      lineCount: lines.length,
+      countedCount: counted.length,
+      bookWeight: roundWeight(counted.reduce((acc, line) => acc + line.currentBookWeight, 0)),
+      measuredWeight: roundWeight(counted.reduce((acc, line) => acc + line.measuredWeight, 0)),
+      varianceWeight: roundWeight(counted.reduce((acc, line) => acc + line.varianceWeight, 0)),
+    },
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date-only values cover the whole UTC day, so asOf=2026-09-30 includes activity on the 30th.
+const parseReportBoundary = (value, { endOfDay = false } = {}) => {
+  const raw = String(value || '').trim();
+  if (!raw) return { provided: false };
+  const parsed = new Date(raw);
+  if (Number.isNaN(parsed.getTime())) return { provided: true, error: true };
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw)) return { provided: true, value: new Date(parsed.getTime() + DAY_MS) };
+  return { provided: true, value: parsed };
+};
+
+// True when an allocation was in effect at `at`: created before it and not yet reversed.
+const allocationActiveAt = (at) => ({
+  $and: [
+    { $lt: ['$createdAt', at] },
+    {
+      $or: [
+        { $eq: [{ $ifNull: ['$reversedAt', null] }, null] },
+        { $gte: ['$reversedAt', at] },
+      ],
+    },
+  ],
+});
+
+// Net change an allocation made to allocated weight inside [from, end): +w when created in the
+// window, -w when reversed in it.
+const allocationWindowDelta = (from, end) => ({
+  $subtract: [
+    {
+      $cond: [
+        { $and: [{ $gte: ['$createdAt', from] }, { $lt: ['$createdAt', end] }] },
+        '$allocatedWeight',
+        0,
+      ],
+    },
+    {
+      $cond: [
+        {
+          $and: [
+            { $ne: [{ $ifNull: ['$reversedAt', null] }, null] },
+            { $gte: ['$reversedAt', from] },
+            { $lt: ['$reversedAt', end] },
+          ],
+        },
+        '$allocatedWeight',
+        0,
+      ],
+    },
+  ],
+});
+
+const sumWindowDeltaForType = (allocationType, from, end) => ({
+  $sum: { $cond: [{ $eq: ['$allocationType', allocationType] }, allocationWindowDelta(from, end), 0] },
+});
+
+const loadCountSession = (id) =>
+  GroundInventoryCount.findById(id)
+    .populate('customerName', 'customerName')
+    .populate('locationName', 'projectName')
+    .populate('lines.materialName', 'materialName refNum')
+    .populate('lines.locationName', 'projectName')
+    .lean();
+
 router.use(requireAuth);
 
 router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
@@ -207,7 +411,7 @@ router.put(
       }
 
       const allocations = await GroundInventoryAllocation.aggregate([
-        { $match: { lotId: lot._id } },
+        { $match: { lotId: lot._id, reversedAt: null } },
         { $group: { _id: null, totalAllocatedWeight: { $sum: '$allocatedWeight' } } },
       ]);
       const allocatedWeight = Number(allocations[0]?.totalAllocatedWeight || 0);
@@ -262,6 +466,843 @@ router.delete('/adjustments/:id', authorizeRoles(['internal', 'admin']), async (
   }
 });
 
+router.post(
+  '/transfers',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('sourceLotId').isMongoId().withMessage('Source lot is required'),
+    body('targetLotId').optional({ nullable: true }).isMongoId().withMessage('Target lot is invalid'),
+    body('locationName').optional({ nullable: true }).isMongoId().withMessage('Location is invalid'),
+    body('weight').isFloat({ gt: 0 }).withMessage('Transfer weight must be greater than zero'),
+    body('notes').optional().isString().withMessage('Notes must be text'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { sourceLotId, targetLotId } = req.body;
+      if (targetLotId && String(targetLotId) === String(sourceLotId)) {
+        return res.status(400).json({ message: 'Source and target lots must be different' });
+      }
+      if (targetLotId && req.body.locationName) {
+        return res.status(400).json({
+          message: 'Send either targetLotId or locationName; a transfer into an existing lot keeps that lot\'s location',
+        });
+      }
+      const weight = Number(req.body.weight);
+      const notes = String(req.body.notes || '').trim();
+      const locationName = targetLotId ? undefined : await ensureLocationExists(req.body.locationName);
+      const transferGroup = new mongoose.Types.ObjectId();
+
+      let targetLot;
+      await mongoose.connection.transaction(async (session) => {
+        const sourceLot = await loadTransferableLot(sourceLotId, session);
+        if (targetLotId) {
+          targetLot = await loadTransferableLot(targetLotId, session);
+          assertSameCustomerMaterial(sourceLot, targetLot);
+        } else {
+          targetLot = await createTransferTargetLot({
+            sourceLot,
+            locationName: locationName || sourceLot.locationName,
+            userId: req.user.id,
+            notes: notes || `Transferred from lot ${sourceLot._id}`,
+            session,
+          });
+        }
+        await moveLotWeight({
+          sourceLot,
+          targetLot,
+          weight,
+          kind: 'transfer',
+          transferGroup,
+          userId: req.user.id,
+          notes,
+          session,
+        });
+      });
+
+      const lots = await GroundInventoryLot.find({ _id: { $in: [sourceLotId, targetLot._id] } })
+        .populate('locationName', 'projectName');
+      return res.status(201).json({ message: 'Ground inventory transferred', transferGroup, lots });
+    } catch (err) {
+      return respondWithLotError(
+        res,
+        err,
+        'Error transferring ground inventory:',
+        'Server error while transferring ground inventory'
+      );
+    }
+  }
+);
+
+router.post(
+  '/lots/:id/split',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('parts').isArray({ min: 1 }).withMessage('At least one split part is required'),
+    body('parts.*.weight').isFloat({ gt: 0 }).withMessage('Each split part needs a weight greater than zero'),
+    body('parts.*.locationName').optional({ nullable: true }).isMongoId().withMessage('Location is invalid'),
+    body('parts.*.notes').optional().isString().withMessage('Notes must be text'),
+  ],
+  async (req, res) => {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid lot id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const parts = [];
+      for (const part of req.body.parts) {
+        parts.push({
+          weight: Number(part.weight),
+          locationName: await ensureLocationExists(part.locationName),
+          notes: String(part.notes || '').trim(),
+        });
+      }
+      const transferGroup = new mongoose.Types.ObjectId();
+
+      const createdLots = [];
+      await mongoose.connection.transaction(async (session) => {
+        const sourceLot = await loadTransferableLot(req.params.id, session);
+        const splitWeight = parts.reduce((acc, part) => acc + part.weight, 0);
+        if (splitWeight > Number(sourceLot.remainingWeight || 0)) {
+          throw createHttpError(400, `Split parts total ${splitWeight}, but the lot only has ${sourceLot.remainingWeight} remaining`);
+        }
+
+        for (const part of parts) {
+          const targetLot = await createTransferTargetLot({
+            sourceLot,
+            locationName: part.locationName || sourceLot.locationName,
+            userId: req.user.id,
+            notes: part.notes || `Split from lot ${sourceLot._id}`,
+            session,
+          });
+          await moveLotWeight({
+            sourceLot,
+            targetLot,
+            weight: part.weight,
+            kind: 'split',
+            transferGroup,
+            userId: req.user.id,
+            notes: part.notes,
+            session,
+          });
+          createdLots.push(targetLot._id);
+        }
+      });
+
+      const [sourceLot, lots] = await Promise.all([
+        GroundInventoryLot.findById(req.params.id).populate('locationName', 'projectName'),
+        GroundInventoryLot.find({ _id: { $in: createdLots } }).populate('locationName', 'projectName'),
+      ]);
+      return res.status(201).json({ message: 'Ground inventory lot split', transferGroup, sourceLot, lots });
+    } catch (err) {
+      return respondWithLotError(
+        res,
+        err,
+        'Error splitting ground inventory lot:',
+        'Server error while splitting ground inventory lot'
+      );
+    }
+  }
+);
+
+router.post(
+  '/merges',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('targetLotId').isMongoId().withMessage('Target lot is required'),
+    body('sourceLotIds').isArray({ min: 1 }).withMessage('At least one lot to merge is required'),
+    body('sourceLotIds.*').isMongoId().withMessage('Lots to merge must be valid ids'),
+    body('notes').optional().isString().withMessage('Notes must be text'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const targetLotId = String(req.body.targetLotId);
+      const sourceLotIds = [...new Set(req.body.sourceLotIds.map(String))];
+      if (sourceLotIds.includes(targetLotId)) {
+        return res.status(400).json({ message: 'The target lot cannot also be merged into itself' });
+      }
+      const notes = String(req.body.notes || '').trim();
+      const transferGroup = new mongoose.Types.ObjectId();
+
+      let mergedWeight = 0;
+      await mongoose.connection.transaction(async (session) => {
+        const targetLot = await loadTransferableLot(targetLotId, session);
+        for (const sourceLotId of sourceLotIds) {
+          const sourceLot = await loadTransferableLot(sourceLotId, session);
+          assertSameCustomerMaterial(sourceLot, targetLot);
+          const weight = Number(sourceLot.remainingWeight || 0);
+          if (weight <= 0) continue;
+
+          await moveLotWeight({
+            sourceLot,
+            targetLot,
+            weight,
+            kind: 'merge',
+            transferGroup,
+            userId: req.user.id,
+            notes,
+            session,
+          });
+          mergedWeight += weight;
+        }
+      });
+
+      const lots = await GroundInventoryLot.find({ _id: { $in: [targetLotId, ...sourceLotIds] } })
+        .populate('locationName', 'projectName');
+      return res.status(200).json({ message: 'Ground inventory lots merged', transferGroup, mergedWeight, lots });
+    } catch (err) {
+      return respondWithLotError(
+        res,
+        err,
+        'Error merging ground inventory lots:',
+        'Server error while merging ground inventory lots'
+      );
+    }
+  }
+);
+
+router.post(
+  '/counts',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('customerName').isMongoId().withMessage('Customer is required'),
+    body('locationName').optional({ nullable: true }).isMongoId().withMessage('Location is invalid'),
+    body('countDate').optional({ nullable: true }).isISO8601().withMessage('Count date must be a valid date'),
+    body('includeDepleted').optional().isBoolean().withMessage('Include depleted must be true or false').toBoolean(),
+    body('notes').optional().isString().withMessage('Notes must be text'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const customer = await Customer.findById(req.body.customerName).select('_id');
+      if (!customer) return res.status(404).json({ message: 'Customer not found' });
+      const locationName = await ensureLocationExists(req.body.locationName);
+
+      const lotQuery = {
+        customerName: customer._id,
+        status: req.body.includeDepleted === true ? { $in: ['available', 'depleted'] } : 'available',
+      };
+      if (locationName) lotQuery.locationName = locationName;
+      const lots = await GroundInventoryLot.find(lotQuery)
+        .select('materialName locationName remainingWeight')
+        .sort({ materialName: 1, receivedAt: 1 })
+        .lean();
+      if (lots.length === 0) {
+        return res.status(400).json({ message: 'No ground inventory lots match this customer and location' });
+      }
+
+      const count = await GroundInventoryCount.create({
+        customerName: customer._id,
+        locationName,
+        countDate: req.body.countDate ? new Date(req.body.countDate) : new Date(),
+        notes: String(req.body.notes || '').trim(),
+        createdBy: req.user.id,
+        lines: lots.map((lot) => ({
+          lotId: lot._id,
+          materialName: lot.materialName,
+          locationName: lot.locationName,
+          bookWeight: Number(lot.remainingWeight || 0),
+        })),
+      });
+
+      return res.status(201).json({
+        message: 'Count session created',
+        count: await describeCountSession(await loadCountSession(count._id)),
+      });
+    } catch (err) {
+      return respondWithLotError(res, err, 'Error creating count session:', 'Server error while creating count session');
+    }
+  }
+);
+
+router.get('/counts', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+    if (req.query.status) {
+      query.status = String(req.query.status);
+    }
+
+    const counts = await GroundInventoryCount.find(query)
+      .select('-lines')
+      .sort({ countDate: -1, createdAt: -1 })
+      .populate('customerName', 'customerName')
+      .populate('locationName', 'projectName')
+      .populate('createdBy', 'firstName lastName fullName email');
+    return res.status(200).json(counts);
+  } catch (err) {
+    console.error('Error fetching count sessions:', err);
+    return res.status(500).json({ message: 'Server error while fetching count sessions' });
+  }
+});
+
+router.get('/counts/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid count session id' });
+  }
+
+  try {
+    const count = await loadCountSession(req.params.id);
+    if (!count) return res.status(404).json({ message: 'Count session not found' });
+    return res.status(200).json(await describeCountSession(count));
+  } catch (err) {
+    console.error('Error fetching count session:', err);
+    return res.status(500).json({ message: 'Server error while fetching count session' });
+  }
+});
+
+router.put(
+  '/counts/:id/lines',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one count line is required'),
+    body('lines.*.lotId').isMongoId().withMessage('Each count line needs a lot'),
+    body('lines.*.measuredWeight')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Measured weight must be a non-negative number'),
+    body('lines.*.notes').optional().isString().withMessage('Notes must be text'),
+  ],
+  async (req, res) => {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid count session id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const count = await GroundInventoryCount.findById(req.params.id);
+      if (!count) return res.status(404).json({ message: 'Count session not found' });
+      if (count.status !== 'draft') {
+        return res.status(400).json({ message: 'Only draft count sessions can be edited' });
+      }
+
+      const linesByLot = new Map(count.lines.map((line) => [String(line.lotId), line]));
+      const unknownLots = req.body.lines
+        .map((entry) => String(entry.lotId))
+        .filter((lotId) => !linesByLot.has(lotId));
+      if (unknownLots.length > 0) {
+        return res.status(400).json({ message: `Lots are not part of this count session: ${unknownLots.join(', ')}` });
+      }
+
+      req.body.lines.forEach((entry) => {
+        const line = linesByLot.get(String(entry.lotId));
+        // null clears a measurement so the lot is left out of posting.
+        line.measuredWeight = entry.measuredWeight == null ? null : Number(entry.measuredWeight);
+        line.measuredAt = entry.measuredWeight == null ? null : new Date();
+        line.measuredBy = entry.measuredWeight == null ? null : req.user.id;
+        if (entry.notes !== undefined) line.notes = String(entry.notes).trim();
+      });
+      await count.save();
+
+      return res.status(200).json({
+        message: 'Count lines updated',
+        count: await describeCountSession(await loadCountSession(count._id)),
+      });
+    } catch (err) {
+      console.error('Error updating count lines:', err);
+      return res.status(500).json({ message: 'Server error while updating count lines' });
+    }
+  }
+);
+
+router.post('/counts/:id/post', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid count session id' });
+  }
+
+  try {
+    const posted = { adjustedCount: 0, unchangedCount: 0, skippedCount: 0, netAdjustmentWeight: 0 };
+    await mongoose.connection.transaction(async (session) => {
+      const count = await GroundInventoryCount.findById(req.params.id).session(session);
+      if (!count) throw createHttpError(404, 'Count session not found');
+      if (count.status !== 'draft') throw createHttpError(400, 'Only draft count sessions can be posted');
+      if (!count.lines.some((line) => line.measuredWeight != null)) {
+        throw createHttpError(400, 'Enter at least one measured weight before posting');
+      }
+
+      for (const line of count.lines) {
+        if (line.measuredWeight == null) {
+          posted.skippedCount += 1;
+          continue;
+        }
+
+        const lot = await GroundInventoryLot.findById(line.lotId).session(session);
+        if (!lot) throw createHttpError(409, `Ground inventory lot ${line.lotId} no longer exists`);
+        if (lot.status === 'archived') {
+          throw createHttpError(409, `Ground inventory lot ${line.lotId} was archived after it was counted`);
+        }
+        const currentBookWeight = Number(lot.remainingWeight || 0);
+        // Positive adjustments are shrinkage (less on the ground than the book); negative are gains.
+        const adjustmentWeight = roundWeight(currentBookWeight - line.measuredWeight);
+        line.bookWeight = currentBookWeight;
+        line.postedAdjustmentWeight = adjustmentWeight;
+        if (adjustmentWeight === 0) {
+          posted.unchangedCount += 1;
+          continue;
+        }
+
+        lot.remainingWeight = line.measuredWeight;
+        lot.status = line.measuredWeight > 0 ? 'available' : 'depleted';
+        await lot.save({ session });
+
+        const [allocation] = await GroundInventoryAllocation.create([{
+          lotId: lot._id,
+          customerName: lot.customerName,
+          materialName: lot.materialName,
+          allocatedWeight: adjustmentWeight,
+          allocationType: 'manual_adjustment',
+          countSession: count._id,
+          createdBy: req.user.id,
+          notes: line.notes || `Cycle count ${count._id}`,
+        }], { session });
+        line.allocationId = allocation._id;
+        posted.adjustedCount += 1;
+        posted.netAdjustmentWeight = roundWeight(posted.netAdjustmentWeight + adjustmentWeight);
+      }
+
+      count.status = 'posted';
+      count.postedAt = new Date();
+      count.postedBy = req.user.id;
+      await count.save({ session });
+    });
+
+    return res.status(200).json({
+      message: 'Count session posted',
+      ...posted,
+      count: await describeCountSession(await loadCountSession(req.params.id)),
+    });
+  } catch (err) {
+    return respondWithLotError(res, err, 'Error posting count session:', 'Server error while posting count session');
+  }
+});
+
+router.post('/counts/:id/cancel', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid count session id' });
+  }
+
+  try {
+    const count = await GroundInventoryCount.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user.id } },
+      { new: true }
+    );
+    if (!count) {
+      return res.status(400).json({ message: 'Only existing draft count sessions can be cancelled' });
+    }
+    return res.status(200).json({ message: 'Count session cancelled', count });
+  } catch (err) {
+    console.error('Error cancelling count session:', err);
+    return res.status(500).json({ message: 'Server error while cancelling count session' });
+  }
+});
+
+router.get('/reports/shrinkage', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const match = { allocationType: 'manual_adjustment', countSession: { $ne: null }, reversedAt: null };
+    if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      match.customerName = new mongoose.Types.ObjectId(String(req.query.customerId));
+    }
+
+    // Same boundaries as the balance report: a date-only `to` includes that whole day.
+    const fromParam = parseReportBoundary(req.query.from);
+    const toParam = parseReportBoundary(req.query.to, { endOfDay: true });
+    if (fromParam.error || toParam.error) {
+      return res.status(400).json({ message: 'Invalid from/to query parameters' });
+    }
+    const from = fromParam.value || null;
+    const to = toParam.value || null;
+
+    // Shrinkage belongs to the period the survey was taken in, not the day it was posted.
+    const countDateMatch = {};
+    if (from || to) {
+      countDateMatch.countDate = {};
+      if (from) countDateMatch.countDate.$gte = from;
+      if (to) countDateMatch.countDate.$lt = to;
+    }
+
+    const grouped = await GroundInventoryAllocation.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: GroundInventoryCount.collection.name,
+          localField: 'countSession',
+          foreignField: '_id',
+          as: 'countSessionDoc',
+        },
+      },
+      {
+        $addFields: {
+          countDate: { $ifNull: [{ $arrayElemAt: ['$countSessionDoc.countDate', 0] }, '$createdAt'] },
+        },
+      },
+      { $match: countDateMatch },
+      {
+        $group: {
+          _id: {
+            month: { $dateToString: { format: '%Y-%m', date: '$countDate' } },
+            customerName: '$customerName',
+            materialName: '$materialName',
+          },
+          shrinkageWeight: { $sum: { $cond: [{ $gt: ['$allocatedWeight', 0] }, '$allocatedWeight', 0] } },
+          gainWeight: { $sum: { $cond: [{ $lt: ['$allocatedWeight', 0] }, { $multiply: ['$allocatedWeight', -1] }, 0] } },
+          adjustmentCount: { $sum: 1 },
+          countSessions: { $addToSet: '$countSession' },
+        },
+      },
+    ]);
+
+    const [customers, materials] = await Promise.all([
+      Customer.find({ _id: { $in: [...new Set(grouped.map((row) => String(row._id.customerName)))] } })
+        .select('customerName')
+        .lean(),
+      Material.find({ _id: { $in: [...new Set(grouped.map((row) => String(row._id.materialName)))] } })
+        .select('materialName refNum')
+        .lean(),
+    ]);
+    const customersById = new Map(customers.map((customer) => [String(customer._id), customer]));
+    const materialsById = new Map(materials.map((material) => [String(material._id), material]));
+
+    const rows = grouped
+      .map((row) => {
+        const material = materialsById.get(String(row._id.materialName));
+        return {
+          month: row._id.month,
+          customerId: String(row._id.customerName),
+          customerName: customersById.get(String(row._id.customerName))?.customerName || 'Unknown Customer',
+          materialId: String(row._id.materialName),
+          materialName: material?.materialName || 'Material',
+          refNum: material?.refNum || '',
+          shrinkageWeight: roundWeight(row.shrinkageWeight),
+          gainWeight: roundWeight(row.gainWeight),
+          netShrinkageWeight: roundWeight(row.shrinkageWeight - row.gainWeight),
+          adjustmentCount: row.adjustmentCount,
+          countSessionCount: row.countSessions.length,
+        };
+      })
+      .sort((a, b) => a.month.localeCompare(b.month)
+        || a.customerName.localeCompare(b.customerName, undefined, { sensitivity: 'base' })
+        || a.materialName.localeCompare(b.materialName, undefined, { sensitivity: 'base' }));
+
+    const byMaterialMap = new Map();
+    rows.forEach((row) => {
+      const key = `${row.customerId}|${row.materialId}`;
+      if (!byMaterialMap.has(key)) {
+        byMaterialMap.set(key, {
+          customerId: row.customerId,
+          customerName: row.customerName,
+          materialId: row.materialId,
+          materialName: row.materialName,
+          shrinkageWeight: 0,
+          gainWeight: 0,
+          netShrinkageWeight: 0,
+        });
+      }
+      const summary = byMaterialMap.get(key);
+      summary.shrinkageWeight = roundWeight(summary.shrinkageWeight + row.shrinkageWeight);
+      summary.gainWeight = roundWeight(summary.gainWeight + row.gainWeight);
+      summary.netShrinkageWeight = roundWeight(summary.netShrinkageWeight + row.netShrinkageWeight);
+    });
+    const byMaterial = [...byMaterialMap.values()];
+    const grandTotal = byMaterial.reduce(
+      (acc, summary) => ({
+        shrinkageWeight: roundWeight(acc.shrinkageWeight + summary.shrinkageWeight),
+        gainWeight: roundWeight(acc.gainWeight + summary.gainWeight),
+        netShrinkageWeight: roundWeight(acc.netShrinkageWeight + summary.netShrinkageWeight),
+      }),
+      { shrinkageWeight: 0, gainWeight: 0, netShrinkageWeight: 0 }
+    );
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const headers = [
+        'Month',
+        'Customer',
+        'Material',
+        'Ref Num',
+        'Shrinkage Weight',
+        'Gain Weight',
+        'Net Shrinkage Weight',
+        'Adjustments',
+        'Count Sessions',
+      ];
+      const lines = [
+        headers.join(','),
+        ...rows.map((row) =>
+          [
+            row.month,
+            row.customerName,
+            row.materialName,
+            row.refNum,
+            row.shrinkageWeight,
+            row.gainWeight,
+            row.netShrinkageWeight,
+            row.adjustmentCount,
+            row.countSessionCount,
+          ]
+            .map(csvEscape)
+            .join(',')
+        ),
+      ];
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="ground-inventory-shrinkage.csv"');
+      return res.status(200).send(lines.join('\r\n'));
+    }
+
+    return res.status(200).json({
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      byMaterial,
+      grandTotal,
+      rows,
+    });
+  } catch (err) {
+    console.error('Error generating shrinkage report:', err);
+    return res.status(500).json({ message: 'Server error while generating shrinkage report' });
+  }
+});
+
+router.get('/reports/balance', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  try {
+    const endParam = parseReportBoundary(req.query.asOf || req.query.to, { endOfDay: true });
+    const fromParam = parseReportBoundary(req.query.from);
+    if (endParam.error || fromParam.error) {
+      return res.status(400).json({ message: 'Invalid from/asOf query parameters' });
+    }
+    const end = endParam.value || new Date();
+    // Without an explicit start the window is the month containing asOf.
+    const closingMonthStart = new Date(end.getTime() - 1);
+    const from = fromParam.value
+      || new Date(Date.UTC(closingMonthStart.getUTCFullYear(), closingMonthStart.getUTCMonth(), 1));
+    if (from > end) {
+      return res.status(400).json({ message: 'from must be before asOf' });
+    }
+
+    const lotQuery = { receivedAt: { $lt: end } };
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      if (!tokenCustomerId) {
+        return res.status(403).json({ message: 'Customer scope is missing from token' });
+      }
+      lotQuery.customerName = tokenCustomerId;
+    } else if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      lotQuery.customerName = req.query.customerId;
+    }
+    if (req.query.materialId) {
+      if (!isValidObjectId(req.query.materialId)) {
+        return res.status(400).json({ message: 'Invalid materialId query parameter' });
+      }
+      lotQuery.materialName = req.query.materialId;
+    }
+
+    // Archived lots leave the books on their archive date; lots archived before the window are skipped.
+    const lots = (await GroundInventoryLot.find(lotQuery)
+      .select('customerName materialName locationName startingWeight receivedAt sourceType status archivedAt updatedAt')
+      .populate('customerName', 'customerName')
+      .populate('materialName', 'materialName refNum')
+      .populate('locationName', 'projectName')
+      .lean())
+      .map((lot) => ({
+        ...lot,
+        archivedAt: lot.status === 'archived' ? new Date(lot.archivedAt || lot.updatedAt) : null,
+      }))
+      .filter((lot) => !lot.archivedAt || lot.archivedAt > from);
+
+    const allocationTotals = lots.length === 0
+      ? []
+      : await GroundInventoryAllocation.aggregate([
+        { $match: { lotId: { $in: lots.map((lot) => lot._id) }, createdAt: { $lt: end } } },
+        {
+          $group: {
+            _id: '$lotId',
+            openingAllocated: { $sum: { $cond: [allocationActiveAt(from), '$allocatedWeight', 0] } },
+            closingAllocated: { $sum: { $cond: [allocationActiveAt(end), '$allocatedWeight', 0] } },
+            shipments: sumWindowDeltaForType('bol_completion', from, end),
+            transfers: sumWindowDeltaForType('lot_transfer', from, end),
+            adjustments: sumWindowDeltaForType('manual_adjustment', from, end),
+          },
+        },
+      ]);
+    const totalsByLot = new Map(allocationTotals.map((entry) => [String(entry._id), entry]));
+
+    const lotRows = lots.map((lot) => {
+      const totals = totalsByLot.get(String(lot._id)) || {};
+      const startingWeight = Number(lot.startingWeight || 0);
+      const receivedBeforeWindow = new Date(lot.receivedAt) < from;
+      const bookClosingBalance = roundWeight(startingWeight - Number(totals.closingAllocated || 0));
+      const archivedInWindow = Boolean(lot.archivedAt) && lot.archivedAt < end;
+      return {
+        lotId: String(lot._id),
+        customerId: String(lot.customerName?._id || lot.customerName || ''),
+        customerName: lot.customerName?.customerName || 'Unknown Customer',
+        materialId: String(lot.materialName?._id || lot.materialName || ''),
+        materialName: lot.materialName?.materialName || 'Material',
+        locationId: lot.locationName?._id ? String(lot.locationName._id) : '',
+        locationName: lot.locationName?.projectName || 'Unassigned',
+        sourceType: lot.sourceType,
+        receivedAt: lot.receivedAt,
+        openingBalance: roundWeight((receivedBeforeWindow ? startingWeight : 0) - Number(totals.openingAllocated || 0)),
+        receipts: roundWeight(receivedBeforeWindow ? 0 : startingWeight),
+        shipments: roundWeight(totals.shipments),
+        // Transfers and adjustments are allocations too, so their effect on the balance is negated.
+        transfersNet: roundWeight(-Number(totals.transfers || 0)),
+        adjustmentsNet: roundWeight(-Number(totals.adjustments || 0)),
+        archivedNet: archivedInWindow ? -bookClosingBalance : 0,
+        closingBalance: archivedInWindow ? 0 : bookClosingBalance,
+      };
+    });
+
+    const rollupMap = new Map();
+    lotRows.forEach((row) => {
+      const key = `${row.customerId}|${row.materialId}|${row.locationId}`;
+      if (!rollupMap.has(key)) {
+        rollupMap.set(key, {
+          customerId: row.customerId,
+          customerName: row.customerName,
+          materialId: row.materialId,
+          materialName: row.materialName,
+          locationId: row.locationId,
+          locationName: row.locationName,
+          lotCount: 0,
+          openingBalance: 0,
+          receipts: 0,
+          shipments: 0,
+          transfersNet: 0,
+          adjustmentsNet: 0,
+          archivedNet: 0,
+          closingBalance: 0,
+        });
+      }
+      const summary = rollupMap.get(key);
+      summary.lotCount += 1;
+      [
+        'openingBalance',
+        'receipts',
+        'shipments',
+        'transfersNet',
+        'adjustmentsNet',
+        'archivedNet',
+        'closingBalance',
+      ].forEach((field) => {
+        summary[field] = roundWeight(summary[field] + row[field]);
+      });
+    });
+    const rows = [...rollupMap.values()]
+      .filter((row) => row.openingBalance !== 0 || row.closingBalance !== 0 || row.receipts !== 0
+        || row.shipments !== 0 || row.transfersNet !== 0 || row.adjustmentsNet !== 0 || row.archivedNet !== 0)
+      .sort((a, b) => a.customerName.localeCompare(b.customerName, undefined, { sensitivity: 'base' })
+        || a.materialName.localeCompare(b.materialName, undefined, { sensitivity: 'base' })
+        || a.locationName.localeCompare(b.locationName, undefined, { sensitivity: 'base' }));
+
+    const grandTotal = rows.reduce(
+      (acc, row) => ({
+        openingBalance: roundWeight(acc.openingBalance + row.openingBalance),
+        receipts: roundWeight(acc.receipts + row.receipts),
+        shipments: roundWeight(acc.shipments + row.shipments),
+        transfersNet: roundWeight(acc.transfersNet + row.transfersNet),
+        adjustmentsNet: roundWeight(acc.adjustmentsNet + row.adjustmentsNet),
+        archivedNet: roundWeight(acc.archivedNet + row.archivedNet),
+        closingBalance: roundWeight(acc.closingBalance + row.closingBalance),
+      }),
+      {
+        openingBalance: 0,
+        receipts: 0,
+        shipments: 0,
+        transfersNet: 0,
+        adjustmentsNet: 0,
+        archivedNet: 0,
+        closingBalance: 0,
+      }
+    );
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const headers = [
+        'Customer',
+        'Material',
+        'Location',
+        'Lots',
+        'Opening Balance',
+        'Receipts',
+        'Shipments',
+        'Transfers Net',
+        'Adjustments Net',
+        'Archived Net',
+        'Closing Balance',
+      ];
+      const lines = [
+        headers.join(','),
+        ...rows.map((row) =>
+          [
+            row.customerName,
+            row.materialName,
+            row.locationName,
+            row.lotCount,
+            row.openingBalance,
+            row.receipts,
+            row.shipments,
+            row.transfersNet,
+            row.adjustmentsNet,
+            row.archivedNet,
+            row.closingBalance,
+          ]
+            .map(csvEscape)
+            .join(',')
+        ),
+      ];
+
+      const filename = `ground-inventory-balance-${new Date(end.getTime() - 1).toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(lines.join('\r\n'));
+    }
+
+    const includeLots = String(req.query.includeLots || '').toLowerCase() === 'true';
+    return res.status(200).json({
+      from: from.toISOString(),
+      asOf: end.toISOString(),
+      rows,
+      grandTotal,
+      ...(includeLots ? { lots: lotRows } : {}),
+    });
+  } catch (err) {
+    console.error('Error generating ground inventory balance report:', err);
+    return res.status(500).json({ message: 'Server error while generating ground inventory balance report' });
+  }
+});
+
 router.get('/allocations', authorizeRoles(['internal', 'admin']), async (req, res) => {
   try {
     const query = {};
@@ -286,6 +1327,17 @@ router.get('/allocations', authorizeRoles(['internal', 'admin']), async (req, re
       query.lotId = req.query.lotId;
     }
 
+    if (req.query.allocationType) {
+      query.allocationType = String(req.query.allocationType);
+    }
+
+    if (req.query.transferGroup) {
+      if (!isValidObjectId(req.query.transferGroup)) {
+        return res.status(400).json({ message: 'Invalid transferGroup query parameter' });
+      }
+      query.transferGroup = req.query.transferGroup;
+    }
+
     const allocations = await GroundInventoryAllocation.find(query)
       .sort({ createdAt: -1 })
       .populate('lotId')
@@ -309,6 +1361,7 @@ router.get('/allocations', authorizeRoles(['internal', 'admin']), async (req, re
       })
       .populate('customerName', 'customerName')
       .populate('materialName', 'materialName refNum')
+      .populate('counterpartLotId', 'locationName remainingWeight status sourceType')
       .populate('createdBy', 'firstName lastName fullName email');
 
     return res.status(200).json(allocations);
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const IngestProfile = require('../models/IngestProfile');
+const {
+  INGEST_ROW_FIELDS,
+  STATUS_RULE_FIELDS,
+  STATUS_RULE_MATCH_TYPES,
+  isSupportedDateFormat,
+} = require('../utils/ingest-profile');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const RAILCAR_STATUSES = ['Inbound', 'On-Spot', 'Available', 'Released'];
+
+const ingestProfileValidation = [
+  body('name').trim().notEmpty().withMessage('Profile name is required'),
+  body('carrierName').optional().isString().withMessage('Rail carrier must be text'),
+  body('description').optional().isString().withMessage('Description must be text'),
+  body('headerMappings').optional().isArray().withMessage('Header mappings must be a list'),
+  body('headerMappings.*.field')
+    .isIn(INGEST_ROW_FIELDS)
+    .withMessage(`Header mapping field must be one of: ${INGEST_ROW_FIELDS.join(', ')}`),
+  body('headerMappings.*.headers')
+    .isArray({ min: 1 })
+    .withMessage('Each header mapping needs at least one extract header'),
+  body('statusRules').optional().isArray().withMessage('Status rules must be a list'),
+  body('statusRules.*.field')
+    .optional()
+    .isIn(STATUS_RULE_FIELDS)
+    .withMessage(`Status rule field must be one of: ${STATUS_RULE_FIELDS.join(', ')}`),
+  body('statusRules.*.matchType')
+    .optional()
+    .isIn(STATUS_RULE_MATCH_TYPES)
+    .withMessage(`Status rule match type must be one of: ${STATUS_RULE_MATCH_TYPES.join(', ')}`),
+  body('statusRules.*.pattern')
+    .isString()
+    .notEmpty()
+    .withMessage('Each status rule needs a pattern'),
+  body('statusRules.*.status')
+    .isIn(RAILCAR_STATUSES)
+    .withMessage(`Status rule status must be one of: ${RAILCAR_STATUSES.join(', ')}`),
+  body('statusRules').optional().custom((rules) => {
+    rules.forEach((rule) => {
+      if (rule?.matchType === 'regex') new RegExp(rule.pattern);
+    });
+    return true;
+  }).withMessage('Status rule regex pattern is invalid'),
+  body('onSpotTracks').optional().isArray().withMessage('On-spot tracks must be a list'),
+  body('dateFormats').optional().isArray().withMessage('Date formats must be a list'),
+  body('dateFormats.*')
+    .custom((format) => typeof format === 'string' && isSupportedDateFormat(format))
+    .withMessage('Date formats need year, month and day tokens (e.g. MM/DD/YYYY)'),
+  body('isActive').optional().isBoolean().withMessage('Is Active must be true or false'),
+];
+
+const buildIngestProfilePayload = (input = {}) => {
+  const payload = {
+    name: String(input.name || '').trim().toLowerCase(),
+    carrierName: String(input.carrierName || '').trim(),
+    description: String(input.description || '').trim(),
+    headerMappings: (input.headerMappings || []).map((mapping) => ({
+      field: mapping.field,
+      headers: (mapping.headers || []).map((header) => String(header).trim()).filter(Boolean),
+    })),
+    statusRules: (input.statusRules || []).map((rule) => ({
+      field: rule.field || 'currentStatus',
+      matchType: rule.matchType || 'equals',
+      pattern: String(rule.pattern).trim(),
+      status: rule.status,
+    })),
+    onSpotTracks: (input.onSpotTracks || []).map((track) => String(track).trim()).filter(Boolean),
+    dateFormats: (input.dateFormats || []).map((format) => String(format).trim()).filter(Boolean),
+  };
+  if (input.isActive !== undefined) {
+    payload.isActive = input.isActive === true || input.isActive === 'true';
+  }
+  return payload;
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (String(req.query.includeInactive || '').toLowerCase() !== 'true') {
+      query.isActive = { $ne: false };
+    }
+
+    const profiles = await IngestProfile.find(query).sort({ name: 1 });
+    res.status(200).json(profiles);
+  } catch (err) {
+    console.error('Error fetching ingest profiles:', err);
+    res.status(500).json({ message: 'Server error while fetching ingest profiles' });
+  }
+});
+
+router.get('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest profile id' });
+  }
+
+  try {
+    const profile = await IngestProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Ingest profile not found' });
+    }
+    res.status(200).json(profile);
+  } catch (err) {
+    console.error('Error fetching ingest profile:', err);
+    res.status(500).json({ message: 'Server error while fetching ingest profile' });
+  }
+});
+
+router.post('/', authorizeRoles(['admin']), ingestProfileValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const profile = await IngestProfile.create({
+      ...buildIngestProfilePayload(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    res.status(201).json({ message: 'Ingest profile created successfully', profile });
+  } catch (err) {
+    console.error('Error creating ingest profile:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'An ingest profile with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error while creating ingest profile' });
+  }
+});
+
+router.put('/:id', authorizeRoles(['admin']), ingestProfileValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest profile id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const profile = await IngestProfile.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...buildIngestProfilePayload(req.body), updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    if (!profile) {
+      return res.status(404).json({ message: 'Ingest profile not found' });
+    }
+    res.status(200).json({ message: 'Ingest profile updated successfully', profile });
+  } catch (err) {
+    console.error('Error updating ingest profile:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'An ingest profile with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error while updating ingest profile' });
+  }
+});
+
+router.delete('/:id', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest profile id' });
+  }
+
+  try {
+    const profile = await IngestProfile.findByIdAndDelete(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Ingest profile not found' });
+    }
+    res.status(200).json({ message: 'Ingest profile deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting ingest profile:', err);
+    res.status(500).json({ message: 'Server error while deleting ingest profile' });
+  }
+});
+
+module.exports = router;
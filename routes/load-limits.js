@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const LoadLimit = require('../models/LoadLimit');
+const Customer = require('../models/Customer');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const loadLimitValidation = [
+  body('customerName')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Customer must be a valid ID'),
+  body('truckType').optional({ nullable: true }).isString().withMessage('Truck type must be text'),
+  body('maxGrossWeight')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max gross weight must be a non-negative number'),
+  body('maxNetWeight')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max net weight must be a non-negative number'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+  body('isActive').optional().isBoolean().withMessage('Is Active must be true or false'),
+];
+
+const buildLoadLimitPayload = async (input = {}) => {
+  const payload = {
+    customerName: input.customerName || null,
+    truckType: String(input.truckType || '').trim(),
+    maxGrossWeight: input.maxGrossWeight == null || input.maxGrossWeight === '' ? null : Number(input.maxGrossWeight),
+    maxNetWeight: input.maxNetWeight == null || input.maxNetWeight === '' ? null : Number(input.maxNetWeight),
+    notes: String(input.notes || '').trim(),
+  };
+  if (input.isActive !== undefined) {
+    payload.isActive = input.isActive === true || input.isActive === 'true';
+  }
+
+  if (payload.maxGrossWeight == null && payload.maxNetWeight == null) {
+    return { error: 'Provide a max gross weight, a max net weight, or both' };
+  }
+
+  if (payload.customerName) {
+    const customer = await Customer.findById(payload.customerName).select('_id');
+    if (!customer) return { error: 'Customer not found', status: 404 };
+  }
+
+  return { payload };
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+
+    const limits = await LoadLimit.find(query)
+      .sort({ customerName: 1, truckType: 1 })
+      .populate('customerName', 'customerName customerCode');
+    res.status(200).json(limits);
+  } catch (err) {
+    console.error('Error fetching load limits:', err);
+    res.status(500).json({ message: 'Server error while fetching load limits' });
+  }
+});
+
+router.post('/', authorizeRoles(['admin']), loadLimitValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { payload, error, status } = await buildLoadLimitPayload(req.body);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
+
+    const limit = await LoadLimit.create({ ...payload, createdBy: req.user.id, updatedBy: req.user.id });
+    res.status(201).json({ message: 'Load limit created successfully', loadLimit: limit });
+  } catch (err) {
+    console.error('Error creating load limit:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A load limit already exists for this customer and truck type' });
+    }
+    res.status(500).json({ message: 'Server error while creating load limit' });
+  }
+});
+
+router.put('/:id', authorizeRoles(['admin']), loadLimitValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid load limit id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { payload, error, status } = await buildLoadLimitPayload(req.body);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
+
+    const limit = await LoadLimit.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...payload, updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    if (!limit) {
+      return res.status(404).json({ message: 'Load limit not found' });
+    }
+    res.status(200).json({ message: 'Load limit updated successfully', loadLimit: limit });
+  } catch (err) {
+    console.error('Error updating load limit:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A load limit already exists for this customer and truck type' });
+    }
+    res.status(500).json({ message: 'Server error while updating load limit' });
+  }
+});
+
+router.delete('/:id', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid load limit id' });
+  }
+
+  try {
+    const limit = await LoadLimit.findByIdAndDelete(req.params.id);
+    if (!limit) {
+      return res.status(404).json({ message: 'Load limit not found' });
+    }
+    res.status(200).json({ message: 'Load limit deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting load limit:', err);
+    res.status(500).json({ message: 'Server error while deleting load limit' });
+  }
+});
+
+module.exports = router;
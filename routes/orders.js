@@ -7,6 +7,7 @@ const Project = require('../models/Project');
 const Receiver = require('../models/Receiver');
 const Railcar = require('../models/Railcar');
 const GroundInventoryLot = require('../models/GroundInventoryLot');
+const { GROUND_ALLOCATION_STRATEGIES } = require('../utils/ground-allocation');
 const {
   requireAuth,
   authorizeRoles,
@@ -65,7 +66,12 @@ const validatePreferredRailcars = async ({
       }
     }
 
-    if (splitLoad) {
+    if (!groundInventoryLot && secondaryGroundInventoryLot) {
+      return 'A primary ground inventory lot is required when a secondary lot is specified';
+    }
+
+    // Orders without a lot leave the draw to the allocation strategy at BOL completion.
+    if (splitLoad && groundInventoryLot) {
       if (!secondaryGroundInventoryLot) {
         return 'Secondary ground inventory lot is required when split load is enabled';
       }
@@ -147,6 +153,10 @@ router.post(
       .optional({ checkFalsy: true })
       .isMongoId()
       .withMessage('Secondary ground inventory lot must be a valid id'),
+    body('groundAllocationStrategy')
+      .optional({ checkFalsy: true })
+      .isIn(GROUND_ALLOCATION_STRATEGIES)
+      .withMessage(`Ground allocation strategy must be one of: ${GROUND_ALLOCATION_STRATEGIES.join(', ')}`),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -179,8 +189,10 @@ router.post(
       if (req.body.inventorySource === 'ground') {
         req.body.railcarID = '';
         req.body.secondaryRailcarID = '';
+        req.body.groundAllocationStrategy = req.body.groundAllocationStrategy || null;
       } else {
         req.body.secondaryGroundInventoryLot = null;
+        req.body.groundAllocationStrategy = null;
       }
 
       const railcarValidationError = await validatePreferredRailcars({
@@ -313,6 +325,14 @@ router.put('/:id', authorizeRoles(['customer', 'internal', 'admin']), async (req
     }
 
     const payload = normalizeSplitLoadPayload(req.body);
+    if (Object.prototype.hasOwnProperty.call(payload, 'groundAllocationStrategy')) {
+      payload.groundAllocationStrategy = payload.groundAllocationStrategy || null;
+      if (payload.groundAllocationStrategy && !GROUND_ALLOCATION_STRATEGIES.includes(payload.groundAllocationStrategy)) {
+        return res.status(400).json({
+          message: `Ground allocation strategy must be one of: ${GROUND_ALLOCATION_STRATEGIES.join(', ')}`,
+        });
+      }
+    }
 
     if (isCustomerUser(req)) {
       const tokenCustomerId = customerIdFromToken(req);
@@ -348,6 +368,7 @@ router.put('/:id', authorizeRoles(['customer', 'internal', 'admin']), async (req
             'customerName',
             'groundInventoryLot',
             'secondaryGroundInventoryLot',
+            'groundAllocationStrategy',
           ];
           editableFields.forEach((field) => delete payload[field]);
         }
@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { isValidObjectId } = mongoose;
+const PlacementRequest = require('../models/PlacementRequest');
+const Railcar = require('../models/Railcar');
+const {
+  PLACEMENT_REQUEST_STATUSES,
+  OPEN_PLACEMENT_STATUSES,
+  canTransitionPlacement,
+} = require('../utils/placement-requests');
+const {
+  requireAuth,
+  authorizeRoles,
+  isCustomerUser,
+  customerIdFromToken,
+} = require('../middleware/auth');
+
+const parseStatusFilter = (value, fallback) => {
+  if (value == null || String(value).trim() === '') return { statuses: fallback };
+  const statuses = String(value)
+    .split(',')
+    .map((status) => status.trim().toLowerCase())
+    .filter(Boolean);
+  if (statuses.some((status) => !PLACEMENT_REQUEST_STATUSES.includes(status))) {
+    return { error: `status must be one of: ${PLACEMENT_REQUEST_STATUSES.join(', ')}` };
+  }
+  return { statuses };
+};
+
+const populatePlacementRequest = (query) =>
+  query
+    .populate('railcar', 'railcarID carInitial carNumber currentStatus station track trackPosition')
+    .populate('customerName', 'customerName customerCode')
+    .populate('requestedBy', 'firstName lastName email');
+
+const scheduleValidation = [
+  body('scheduledFor').isISO8601().withMessage('Scheduled for must be a valid date'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+];
+
+const cancelValidation = [
+  body('reason').optional().isString().withMessage('Reason must be text'),
+];
+
+// Loads the request, enforces customer scope and the status transition, then applies `update`.
+const transitionPlacementRequest = async (req, res, toStatus, update) => {
+  const placementRequest = await PlacementRequest.findById(req.params.id);
+  if (!placementRequest) {
+    return res.status(404).json({ message: 'Placement request not found' });
+  }
+
+  if (isCustomerUser(req)) {
+    const tokenCustomerId = customerIdFromToken(req);
+    if (!tokenCustomerId || String(placementRequest.customerName) !== String(tokenCustomerId)) {
+      return res.status(403).json({ message: 'Access forbidden: placement request is outside customer scope' });
+    }
+  }
+
+  if (!canTransitionPlacement(placementRequest.status, toStatus)) {
+    return res.status(400).json({
+      message: `Placement request cannot move from ${placementRequest.status} to ${toStatus}`,
+    });
+  }
+
+  placementRequest.set({ ...update, status: toStatus });
+  let saved;
+  if (OPEN_PLACEMENT_STATUSES.includes(toStatus)) {
+    saved = await placementRequest.save();
+  } else {
+    // Closing the request also clears the car's placement flag used by the railcar list filter.
+    await mongoose.connection.transaction(async (session) => {
+      saved = await placementRequest.save({ session });
+      await Railcar.updateOne({ _id: placementRequest.railcar }, { $unset: { placementRequestedAt: 1 } }, { session });
+    });
+  }
+  return res.status(200).json({ message: `Placement request ${toStatus}`, placementRequest: saved });
+};
+
+router.use(requireAuth);
+
+router.get('/queue', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const { statuses, error } = parseStatusFilter(req.query.status, OPEN_PLACEMENT_STATUSES);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const query = { status: { $in: statuses } };
+    if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+
+    const queue = await populatePlacementRequest(PlacementRequest.find(query))
+      .sort({ requestedAt: 1, _id: 1 })
+      .lean();
+    res.status(200).json(queue);
+  } catch (err) {
+    console.error('Error fetching placement request queue:', err);
+    res.status(500).json({ message: 'Server error while fetching placement request queue' });
+  }
+});
+
+router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  try {
+    const { statuses, error } = parseStatusFilter(req.query.status, PLACEMENT_REQUEST_STATUSES);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const query = { status: { $in: statuses } };
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      if (!tokenCustomerId) {
+        return res.status(403).json({ message: 'Customer scope is missing from token' });
+      }
+      query.customerName = tokenCustomerId;
+    } else if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+    if (req.query.railcarId) {
+      if (!isValidObjectId(req.query.railcarId)) {
+        return res.status(400).json({ message: 'Invalid railcarId query parameter' });
+      }
+      query.railcar = req.query.railcarId;
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const requests = await populatePlacementRequest(PlacementRequest.find(query))
+      .sort({ requestedAt: -1 })
+      .limit(limit)
+      .lean();
+    res.status(200).json(requests);
+  } catch (err) {
+    console.error('Error fetching placement requests:', err);
+    res.status(500).json({ message: 'Server error while fetching placement requests' });
+  }
+});
+
+router.get('/:id', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid placement request id' });
+  }
+
+  try {
+    const placementRequest = await populatePlacementRequest(PlacementRequest.findById(req.params.id)).lean();
+    if (!placementRequest) {
+      return res.status(404).json({ message: 'Placement request not found' });
+    }
+
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      const requestCustomerId = placementRequest.customerName?._id || placementRequest.customerName;
+      if (!tokenCustomerId || String(requestCustomerId) !== String(tokenCustomerId)) {
+        return res.status(403).json({ message: 'Access forbidden: placement request is outside customer scope' });
+      }
+    }
+
+    res.status(200).json(placementRequest);
+  } catch (err) {
+    console.error('Error fetching placement request:', err);
+    res.status(500).json({ message: 'Server error while fetching placement request' });
+  }
+});
+
+router.put('/:id/acknowledge', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid placement request id' });
+  }
+
+  try {
+    return await transitionPlacementRequest(req, res, 'acknowledged', {
+      acknowledgedAt: new Date(),
+      acknowledgedBy: req.user.id,
+    });
+  } catch (err) {
+    console.error('Error acknowledging placement request:', err);
+    res.status(500).json({ message: 'Server error while acknowledging placement request' });
+  }
+});
+
+router.put('/:id/schedule', authorizeRoles(['internal', 'admin']), scheduleValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid placement request id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const update = {
+      scheduledFor: new Date(req.body.scheduledFor),
+      scheduledAt: new Date(),
+      scheduledBy: req.user.id,
+    };
+    if (req.body.notes !== undefined) update.notes = String(req.body.notes).trim();
+    return await transitionPlacementRequest(req, res, 'scheduled', update);
+  } catch (err) {
+    console.error('Error scheduling placement request:', err);
+    res.status(500).json({ message: 'Server error while scheduling placement request' });
+  }
+});
+
+router.put('/:id/fulfill', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid placement request id' });
+  }
+
+  try {
+    return await transitionPlacementRequest(req, res, 'fulfilled', {
+      fulfilledAt: new Date(),
+      fulfilledBy: req.user.id,
+      fulfilledTrack: typeof req.body?.track === 'string' ? req.body.track.trim() : '',
+      fulfillmentSource: 'user',
+    });
+  } catch (err) {
+    console.error('Error fulfilling placement request:', err);
+    res.status(500).json({ message: 'Server error while fulfilling placement request' });
+  }
+});
+
+router.put('/:id/cancel', authorizeRoles(['customer', 'internal', 'admin']), cancelValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid placement request id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    return await transitionPlacementRequest(req, res, 'cancelled', {
+      cancelledAt: new Date(),
+      cancelledBy: req.user.id,
+      cancelReason: String(req.body.reason || '').trim(),
+    });
+  } catch (err) {
+    console.error('Error cancelling placement request:', err);
+    res.status(500).json({ message: 'Server error while cancelling placement request' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,38 @@
 const express = require('express');
-const { isValidObjectId, Types } = require('mongoose');
+const busboy = require('busboy');
+const mongoose = require('mongoose');
+const { isValidObjectId } = mongoose;
 const Railcar = require('../models/Railcar');
 const Customer = require('../models/Customer');
-const BOL = require('../models/BOL');
 const User = require('../models/User');
 const Material = require('../models/Material');
 const GroundInventoryLot = require('../models/GroundInventoryLot');
+const GroundInventoryAllocation = require('../models/GroundInventoryAllocation');
+const RailcarEvent = require('../models/RailcarEvent');
+const IngestBatch = require('../models/IngestBatch');
+const IngestBatchEntry = require('../models/IngestBatchEntry');
+const IngestProfile = require('../models/IngestProfile');
+const PlacementRequest = require('../models/PlacementRequest');
+const RailcarUnloadLedger = require('../models/RailcarUnloadLedger');
+const {
+  diffRailcarFields,
+  buildRailcarEvent,
+  recordRailcarEvents,
+} = require('../utils/railcar-events');
+const {
+  normalizeStatus,
+  toRowObject,
+  parseCsvRows,
+  streamCsvRows,
+  processRailcarIngest,
+} = require('../utils/railcar-ingest');
+const {
+  loadLedgerMapForRailcars,
+  getLedgerEntryForRailcar,
+  computeRemainingWeight,
+  syncLedgerReportedWeights,
+} = require('../utils/railcar-ledger');
+const { OPEN_PLACEMENT_STATUSES, findOpenPlacementRequest } = require('../utils/placement-requests');
 const {
   requireAuth,
   authorizeRoles,
@@ -95,6 +122,68 @@ const sendReleaseEmptyNotification = async ({ railcar, actor, customer }) => {
   });
 };
 
+const sendReleaseReversedNotification = async ({ railcar, actor, customer, restoredStatus }) => {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 587);
+  const smtpUser = process.env.SMTP_USER;
+  const smtpPass = process.env.SMTP_PASS;
+  const from = process.env.SMTP_FROM || smtpUser;
+
+  if (!host || !from) {
+    return;
+  }
+
+  const recipients = await getReleaseNotificationRecipients();
+  if (recipients.length === 0) {
+    return;
+  }
+
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (err) {
+    console.warn('Railcar release reversal email skipped: nodemailer is not installed');
+    return;
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: smtpUser && smtpPass ? { user: smtpUser, pass: smtpPass } : undefined,
+  });
+
+  const actorName =
+    actor && (actor.firstName || actor.lastName)
+      ? `${actor.firstName || ''} ${actor.lastName || ''}`.trim()
+      : actor?.email || 'Internal User';
+
+  const customerName = customer?.customerName || 'Unknown Customer';
+  const reversedAt = new Date().toLocaleString();
+  const railcarLabel = railcar?.railcarID || `${railcar?.carInitial || ''} ${railcar?.carNumber || ''}`.trim();
+
+  const subject = `Railcar Release Reversed: ${railcarLabel}`;
+  const text = [
+    'A railcar release as empty was reversed. Disregard the earlier release notice.',
+    '',
+    `Railcar: ${railcarLabel}`,
+    `Customer: ${customerName}`,
+    `Restored Status: ${restoredStatus || railcar?.currentStatus || 'N/A'}`,
+    `Station: ${railcar?.station || 'N/A'}`,
+    `Track: ${railcar?.track || 'N/A'}`,
+    `Reversed By: ${actorName}`,
+    `Reversed By Email: ${actor?.email || 'N/A'}`,
+    `Reversed At: ${reversedAt}`,
+  ].join('\n');
+
+  await transporter.sendMail({
+    from,
+    to: recipients.join(', '),
+    subject,
+    text,
+  });
+};
+
 const sendPlacementRequestNotification = async ({ railcar, actor, customer }) => {
   const host = process.env.SMTP_HOST;
   const port = Number(process.env.SMTP_PORT || 587);
@@ -157,106 +246,119 @@ const sendPlacementRequestNotification = async ({ railcar, actor, customer }) =>
   });
 };
 
-const parseCsvLine = (line) => {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i += 1) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === ',' && !inQuotes) {
-      values.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
+const csvEscape = (value) => {
+  const raw = value == null ? '' : String(value);
+  if (/[",\n\r]/.test(raw)) {
+    return `"${raw.replace(/"/g, '""')}"`;
   }
+  return raw;
+};
 
-  values.push(current.trim());
-  return values.map((v) => v.replace(/^"|"$/g, '').trim());
+const parseBooleanParam = (value, fallback = false) => {
+  if (value == null) return fallback;
+  const raw = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y'].includes(raw)) return true;
+  if (['0', 'false', 'no', 'n'].includes(raw)) return false;
+  return fallback;
 };
 
-const normalizeHeader = (header = '') => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ON_SITE_STATUSES = new Set(['Available', 'On-Spot']);
 
-const toNumberOrNull = (value) => {
-  const raw = String(value ?? '').trim();
-  if (!raw) return null;
-  const parsed = Number(raw.replace(/,/g, ''));
-  return Number.isFinite(parsed) ? parsed : null;
+const parseDateParam = (value) => {
+  if (value == null || String(value).trim() === '') return { provided: false };
+  const parsed = new Date(String(value).trim());
+  if (Number.isNaN(parsed.getTime())) return { provided: true, error: true };
+  return { provided: true, value: parsed };
 };
 
-const ON_SPOT_TRACKS = ['Y-TRACK A', 'Y-TRACK B', 'Y-TRACK C', 'Y-TRACK D'];
-
-const normalizeTrackToken = (value = '') =>
-  String(value || '')
-    .trim()
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, '');
-
-const isOnSpotTrack = (track = '') => {
-  const normalized = normalizeTrackToken(track);
-  if (!normalized) return false;
-
-  const canonicalMatch = ON_SPOT_TRACKS.some((name) => normalizeTrackToken(name) === normalized);
-  if (canonicalMatch) return true;
-
-  // Tolerate extract variants like "Y Track A", "Y-TRACK A (TL)", etc.
-  return (
-    normalized.includes('YTRACKA') ||
-    normalized.includes('YTRACKB') ||
-    normalized.includes('YTRACKC') ||
-    normalized.includes('YTRACKD') ||
-    normalized.includes('YARDTRANSLOADA') ||
-    normalized.includes('YARDTRANSLOADB') ||
-    normalized.includes('YARDTRANSLOADC') ||
-    normalized.includes('YARDTRANSLOADD')
-  );
+// A railcar document covers every trip of the same car, so its history is split into visits:
+// each runs from the first Available/On-Spot report to the next release that was not undone.
+const splitRailcarVisits = (railcar, history) => {
+  const visits = [];
+  let current = null;
+  history.forEach((entry, index) => {
+    if (!current && ON_SITE_STATUSES.has(entry.status)) {
+      current = { arrivedAt: new Date(entry.changedAt), releasedAt: null };
+    } else if (current && entry.status === 'Released' && history[index + 1]?.source !== 'unrelease') {
+      current.releasedAt = new Date(entry.changedAt);
+      visits.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    const releasedAsEmptyAt = railcar.releasedAsEmptyAt ? new Date(railcar.releasedAsEmptyAt) : null;
+    if (releasedAsEmptyAt && releasedAsEmptyAt > current.arrivedAt) current.releasedAt = releasedAsEmptyAt;
+    visits.push(current);
+  }
+  return visits;
 };
 
-const normalizeStatus = (rawStatus = '', hasReleaseDate = false, track = '', trackId = '') => {
-  if (hasReleaseDate) return 'Released';
+// Each visit is charged on its own and clipped to [from, asOf]. Any started day counts as a full
+// day, counted from the visit's arrival; the customer's free days are the first days of each visit.
+const computeRailcarDemurrage = (railcar, customer, { from = null, asOf }) => {
+  const history = [...(railcar.statusHistory || [])]
+    .filter((entry) => entry?.changedAt)
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+  const freeDays = Number(customer?.demurrageFreeDays || 0);
+  const dailyRate = Number(customer?.demurrageDailyRate || 0);
+
+  return splitRailcarVisits(railcar, history)
+    .map(({ arrivedAt, releasedAt }, visitIndex) => {
+      const windowStart = from && from > arrivedAt ? from : arrivedAt;
+      const windowEnd = releasedAt && releasedAt < asOf ? releasedAt : asOf;
+      if (windowEnd <= windowStart) return null;
+
+      let onSpotMs = 0;
+      let storageMs = 0;
+      history.forEach((entry, index) => {
+        const segmentStart = Math.max(new Date(entry.changedAt).getTime(), windowStart.getTime());
+        const nextChange = history[index + 1] ? new Date(history[index + 1].changedAt).getTime() : Infinity;
+        const segmentEnd = Math.min(nextChange, windowEnd.getTime());
+        if (segmentEnd <= segmentStart) return;
+        if (entry.status === 'On-Spot') onSpotMs += segmentEnd - segmentStart;
+        if (entry.status === 'Available') storageMs += segmentEnd - segmentStart;
+      });
 
-  const value = String(rawStatus || '').toLowerCase().trim();
-  if (value.includes('release')) return 'Released';
-  if (value === 'on-spot' || value === 'on spot') return 'On-Spot';
-  if (isOnSpotTrack(trackId || track)) return 'On-Spot';
+      // Days already covered by an earlier window are not charged again.
+      const daysThroughEnd = Math.ceil((windowEnd.getTime() - arrivedAt.getTime()) / DAY_MS);
+      const daysBeforeWindow = Math.ceil((windowStart.getTime() - arrivedAt.getTime()) / DAY_MS);
+      const chargeableDays = Math.max(0, daysThroughEnd - Math.max(freeDays, daysBeforeWindow));
+
+      return {
+        visitNumber: visitIndex + 1,
+        arrivedAt,
+        releasedAt: releasedAt && releasedAt <= asOf ? releasedAt : null,
+        daysOnSite: daysThroughEnd - daysBeforeWindow,
+        onSpotDays: Math.round((onSpotMs / DAY_MS) * 10) / 10,
+        storageDays: Math.round((storageMs / DAY_MS) * 10) / 10,
+        freeDays,
+        dailyRate,
+        chargeableDays,
+        charge: Math.round(chargeableDays * dailyRate * 100) / 100,
+      };
+    })
+    .filter(Boolean);
+};
 
-  const availableLike =
-    value.includes('avail') ||
-    value === 'y' ||
-    value.includes('storage') ||
-    value.includes('loaded') ||
-    value === 'l' ||
-    value === 'l ';
+const DEFAULT_RECONCILIATION_TOLERANCE_PERCENT = 2;
 
-  if (availableLike) {
-    return isOnSpotTrack(track) ? 'On-Spot' : 'Available';
-  }
-  return 'Inbound';
+const getReconciliationTolerancePercent = () => {
+  const configured = Number(process.env.RAILCAR_RECONCILIATION_TOLERANCE_PERCENT);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_RECONCILIATION_TOLERANCE_PERCENT;
 };
 
-const csvEscape = (value) => {
-  const raw = value == null ? '' : String(value);
-  if (/[",\n\r]/.test(raw)) {
-    return `"${raw.replace(/"/g, '""')}"`;
-  }
-  return raw;
+// Latest move into Released, falling back to the release-as-empty stamp for cars without history.
+const getRailcarReleasedAt = (railcar) => {
+  const releaseEntries = (railcar.statusHistory || [])
+    .filter((entry) => entry?.status === 'Released' && entry.changedAt)
+    .map((entry) => new Date(entry.changedAt));
+  if (releaseEntries.length > 0) return new Date(Math.max(...releaseEntries.map((date) => date.getTime())));
+  return railcar.releasedAsEmptyAt ? new Date(railcar.releasedAsEmptyAt) : null;
 };
 
-const parseBooleanParam = (value, fallback = false) => {
-  if (value == null) return fallback;
-  const raw = String(value).trim().toLowerCase();
-  if (['1', 'true', 'yes', 'y'].includes(raw)) return true;
-  if (['0', 'false', 'no', 'n'].includes(raw)) return false;
-  return fallback;
-};
+const roundWeight = (value) => Math.round(Number(value || 0) * 100) / 100;
 
 const buildGroundConversionToken = ({ customerId, railcarId, railShipmentBolNumber, railcarDocId }) =>
   [String(customerId || '').trim(), String(railcarId || '').trim(), String(railShipmentBolNumber || '').trim(), String(railcarDocId || '').trim()].join('|');
@@ -267,209 +369,212 @@ const fetchRailcarsWithComputedWeights = async (query) => {
     .populate('customerName', 'customerName')
     .populate('materialName', 'materialName refNum');
 
-  const railcarKeys = railcars.map((r) => ({
-    railcarID: r.railcarID,
-    customerId: String(r.customerName?._id || r.customerName),
-    railShipmentBolNumber: String(r.railcarBolNumber || '').trim(),
-  }));
-
-  const railcarIdSet = [...new Set(railcarKeys.map((k) => String(k.railcarID || '').trim()).filter(Boolean))];
-  const customerObjectIdSet = [...new Set(
-    railcarKeys
-      .map((k) => String(k.customerId || '').trim())
-      .filter((id) => isValidObjectId(id))
-  )].map((id) => new Types.ObjectId(id));
-
-  const unloadAgg = railcarIdSet.length === 0 || customerObjectIdSet.length === 0
-    ? []
-    : await BOL.aggregate([
-      {
-        $match: {
-          status: 'Completed',
-          customerName: { $in: customerObjectIdSet },
-        },
-      },
-      {
-        $project: {
-          customerName: 1,
-          railcarEntries: [
-            {
-              railcarID: { $trim: { input: { $ifNull: ['$railcarID', ''] } } },
-              railShipmentBolNumber: { $trim: { input: { $ifNull: ['$railShipmentBolNumber', ''] } } },
-              netWeight: {
-                $ifNull: [
-                  '$primaryNetWeight',
-                  {
-                    $ifNull: [
-                      '$netWeight',
-                      {
-                        $cond: [
-                          {
-                            $and: [
-                              { $ne: ['$grossWeight', null] },
-                              { $ne: ['$tareWeight', null] },
-                            ],
-                          },
-                          { $subtract: ['$grossWeight', '$tareWeight'] },
-                          0,
-                        ],
-                      },
-                    ],
-                  },
-                ],
-              },
-            },
-            {
-              railcarID: { $trim: { input: { $ifNull: ['$secondaryRailcarID', ''] } } },
-              railShipmentBolNumber: { $trim: { input: { $ifNull: ['$secondaryRailShipmentBolNumber', ''] } } },
-              netWeight: {
-                $ifNull: [
-                  '$secondaryNetWeight',
-                  {
-                    $cond: [
-                      {
-                        $and: [
-                          { $ne: ['$secondaryGrossWeight', null] },
-                          { $ne: ['$secondaryTareWeight', null] },
-                        ],
-                      },
-                      { $subtract: ['$secondaryGrossWeight', '$secondaryTareWeight'] },
-                      0,
-                    ],
-                  },
-                ],
-              },
-            },
-          ],
-        },
-      },
-      { $unwind: '$railcarEntries' },
-      {
-        $match: {
-          'railcarEntries.railcarID': { $in: railcarIdSet },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            railcarID: '$railcarEntries.railcarID',
-            customerName: '$customerName',
-            railShipmentBolNumber: '$railcarEntries.railShipmentBolNumber',
-          },
-          unloadedWeight: { $sum: { $ifNull: ['$railcarEntries.netWeight', 0] } },
-        },
-      },
-    ]);
-
-  const unloadMap = new Map(
-    unloadAgg.map((item) => [
-      `${item._id.railcarID}|${String(item._id.customerName)}|${String(item._id.railShipmentBolNumber || '')}`,
-      Number(item.unloadedWeight || 0),
-    ])
-  );
+  // Unloaded weight comes from the persisted ledger (kept current on BOL completion/void);
+  // remaining weight is recomputed from the railcar's latest reported weight.
+  const ledgerMap = await loadLedgerMapForRailcars(railcars);
 
   return railcars.map((railcar) => {
-    const customerId = String(railcar.customerName?._id || railcar.customerName);
-    const railShipmentBolNumber = String(railcar.railcarBolNumber || '').trim();
-    const unloadedWeight = unloadMap.get(`${railcar.railcarID}|${customerId}|${railShipmentBolNumber}`) || 0;
-    const reportedWeight = Number(railcar.reportedWeight || 0);
-    const remainingWeight = reportedWeight > 0 ? Math.max(reportedWeight - unloadedWeight, 0) : null;
+    const ledgerEntry = getLedgerEntryForRailcar(ledgerMap, railcar);
+    const unloadedWeight = Number(ledgerEntry?.unloadedWeight || 0);
 
     return {
       ...railcar.toObject(),
       unloadedWeight,
-      remainingWeight,
+      remainingWeight: computeRemainingWeight(railcar.reportedWeight, unloadedWeight),
+      lastUnloadAt: ledgerEntry?.lastUnloadAt || null,
     };
   });
 };
 
-const toRowObject = (raw) => {
-  const row = raw || {};
+const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsFilter = (value) => ({ $regex: escapeRegex(String(value).trim()), $options: 'i' });
+
+const RAILCAR_SORT_FIELDS = new Set([
+  'railcarID',
+  'carInitial',
+  'carNumber',
+  'currentStatus',
+  'leStatus',
+  'commodity',
+  'station',
+  'track',
+  'trackPosition',
+  'batchNumber',
+  'railcarBolNumber',
+  'reportedWeight',
+  'unloadedWeight',
+  'remainingWeight',
+  'lastUnloadAt',
+  'placementRequestedAt',
+  'releasedAsEmptyAt',
+  'createdAt',
+  'updatedAt',
+]);
+const DEFAULT_RAILCAR_PAGE_SIZE = 50;
+const MAX_RAILCAR_PAGE_SIZE = 500;
+
+const parseOptionalNumber = (value) => {
+  if (value == null || String(value).trim() === '') return { provided: false };
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? { provided: true, value: parsed } : { provided: true, error: true };
+};
+
+// Turns GET /api/railcars query parameters into match, sort and paging options. The customer
+// scope is applied by the route, not here.
+const parseRailcarListQuery = (params = {}) => {
+  const match = {};
+  const requestedStatus = params.currentStatus || params.status;
+  if (requestedStatus) match.currentStatus = normalizeStatus(requestedStatus);
+
+  ['commodity', 'station', 'track', 'batchNumber'].forEach((field) => {
+    if (params[field] && String(params[field]).trim()) match[field] = containsFilter(params[field]);
+  });
+  const railShipmentBol = params.railShipmentBolNumber || params.railcarBolNumber;
+  if (railShipmentBol && String(railShipmentBol).trim()) match.railcarBolNumber = containsFilter(railShipmentBol);
+
+  const materialId = params.materialId || params.materialName;
+  if (materialId) {
+    if (!isValidObjectId(materialId)) return { error: 'Invalid materialId query parameter' };
+    match.materialName = new mongoose.Types.ObjectId(String(materialId));
+  }
+
+  if (params.placementRequested != null && String(params.placementRequested).trim() !== '') {
+    match.placementRequestedAt = parseBooleanParam(params.placementRequested)
+      ? { $ne: null }
+      : null;
+  }
+
+  // "ABCX1234", "abcx 1234" and "1234" all find car ABCX 1234.
+  const search = String(params.search || params.q || '').trim();
+  if (search) {
+    const compactPattern = search.replace(/\s+/g, '').split('').map(escapeRegex).join('\\s*');
+    match.$or = [
+      { railcarID: { $regex: compactPattern, $options: 'i' } },
+      { carInitial: containsFilter(search) },
+      { carNumber: containsFilter(search) },
+    ];
+  }
+
+  const minRemaining = parseOptionalNumber(params.minRemainingWeight);
+  const maxRemaining = parseOptionalNumber(params.maxRemainingWeight);
+  if (minRemaining.error || maxRemaining.error) {
+    return { error: 'minRemainingWeight and maxRemainingWeight must be numbers' };
+  }
+  const remainingWeight = {};
+  if (minRemaining.provided) remainingWeight.$gte = minRemaining.value;
+  if (maxRemaining.provided) remainingWeight.$lte = maxRemaining.value;
+
+  const sortBy = String(params.sortBy || '').trim();
+  if (sortBy && !RAILCAR_SORT_FIELDS.has(sortBy)) {
+    return { error: `sortBy must be one of: ${[...RAILCAR_SORT_FIELDS].join(', ')}` };
+  }
+  const direction = String(params.sortDir || params.sortOrder || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+  const sort = sortBy
+    ? { [sortBy]: direction, _id: 1 }
+    : { currentStatus: 1, carInitial: 1, carNumber: 1, _id: 1 };
+
+  // Callers that send neither page nor limit keep getting the full list as a plain array.
+  const paginate = params.page != null || params.limit != null;
+  const page = Math.max(Number.parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(Number.parseInt(params.limit, 10) || DEFAULT_RAILCAR_PAGE_SIZE, 1),
+    MAX_RAILCAR_PAGE_SIZE
+  );
+
   return {
-    carInitial: row.carInitial || row['Car Initial'] || row.carinitial || row.equipmentinitial,
-    carNumber: row.carNumber || row['Car Number'] || row.carnumber || row.equipmentnumber,
-    commodity: row.commodity || row.Commodity || row.stccdescription,
-    railcarBolNumber:
-      row.railcarBolNumber ||
-      row['Railcar BOL Number'] ||
-      row['BOL Number'] ||
-      row.bolnumber ||
-      row.bol ||
-      row.billofladingnumber ||
-      row.billoflading,
-    leStatus: row.leStatus || row['LE Status'] || row.lestatus,
-    currentStatus:
-      row.currentStatus ||
-      row['Current Status'] ||
-      row.status ||
-      row.Status ||
-      row.storagestatus ||
-      row.storageind,
-    station: row.station || row.Station || row.stationname || row.stationid,
-    trackId:
-      row.trackId ||
-      row['Track ID'] ||
-      row.trackid,
-    track: row.track || row.Track || row.trackid || row.trackname,
-    trackPosition:
-      row.trackPosition ||
-      row.trackTrainPosition ||
-      row['Track Train Position'] ||
-      row.tracktrainposition ||
-      row.track_train_position ||
-      row.trackposition ||
-      row.trainposition,
-    customerCode:
-      row.customerCode ||
-      row['Customer Code'] ||
-      row.customercode ||
-      row.thecustomercustomerid ||
-      row.blocktocustomerid,
-    reportedWeight: row.reportedWeight || row.Weight || row.weight,
-    releaseDate: row.releaseDate || row['Release Date'] || row.releasedate,
+    match,
+    remainingWeight: Object.keys(remainingWeight).length > 0 ? remainingWeight : null,
+    sort,
+    paginate,
+    page,
+    limit,
   };
 };
 
-const parseCsvRows = (csvText = '') => {
-  const lines = String(csvText)
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+// Same output as fetchRailcarsWithComputedWeights, but joins the unload ledger inside Mongo so
+// remaining-weight filters, weight sorting and paging happen before documents are loaded.
+const searchRailcarsWithComputedWeights = async (match, { remainingWeight, sort, paginate, page, limit }) => {
+  const pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: RailcarUnloadLedger.collection.name,
+        let: {
+          customerName: '$customerName',
+          railcarID: '$railcarID',
+          railShipmentBolNumber: { $trim: { input: { $ifNull: ['$railcarBolNumber', ''] } } },
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$customerName', '$$customerName'] },
+                  { $eq: ['$railcarID', '$$railcarID'] },
+                  { $eq: ['$railShipmentBolNumber', '$$railShipmentBolNumber'] },
+                ],
+              },
+            },
+          },
+          { $project: { unloadedWeight: 1, lastUnloadAt: 1 } },
+        ],
+        as: 'unloadLedger',
+      },
+    },
+    {
+      $addFields: {
+        unloadedWeight: { $ifNull: [{ $first: '$unloadLedger.unloadedWeight' }, 0] },
+        lastUnloadAt: { $ifNull: [{ $first: '$unloadLedger.lastUnloadAt' }, null] },
+      },
+    },
+    {
+      $addFields: {
+        remainingWeight: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$reportedWeight', 0] }, 0] },
+            { $max: [{ $subtract: ['$reportedWeight', '$unloadedWeight'] }, 0] },
+            null,
+          ],
+        },
+      },
+    },
+    { $project: { unloadLedger: 0 } },
+  ];
+  if (remainingWeight) pipeline.push({ $match: { remainingWeight } });
+  pipeline.push({ $sort: sort });
+
+  let items;
+  let total = null;
+  if (paginate) {
+    const [result] = await Railcar.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+    items = result?.items || [];
+    total = result?.total?.[0]?.count || 0;
+  } else {
+    items = await Railcar.aggregate(pipeline);
+  }
 
-  if (lines.length < 2) return [];
+  await Railcar.populate(items, [
+    { path: 'customerName', select: 'customerName' },
+    { path: 'materialName', select: 'materialName refNum' },
+  ]);
 
-  const headers = parseCsvLine(lines[0]).map(normalizeHeader);
-  return lines.slice(1).map((line) => {
-    const values = parseCsvLine(line);
-    const row = {};
-    headers.forEach((header, idx) => {
-      row[header] = values[idx] || '';
-    });
-    return toRowObject({
-      carInitial: row.carinitial || row.equipmentinitial,
-      carNumber: row.carnumber || row.equipmentnumber,
-      commodity: row.commodity || row.stccdescription,
-      railcarBolNumber:
-        row.railcarbolnumber ||
-        row.bolnumber ||
-        row.bol ||
-        row.billofladingnumber ||
-        row.billoflading,
-      leStatus: row.lestatus,
-      currentStatus: row.currentstatus || row.status || row.storagestatus || row.storageind,
-      station: row.station || row.stationname || row.stationid,
-      trackId: row.trackid,
-      track: row.track || row.trackid || row.trackname,
-      trackPosition:
-        row.tracktrainposition ||
-        row.tracktrainpos ||
-        row.trackposition ||
-        row.trainposition,
-      customerCode: row.customercode || row.thecustomercustomerid || row.blocktocustomerid,
-      reportedWeight: row.weight,
-      releaseDate: row.releasedate,
-    });
-  });
+  if (!paginate) return items;
+  return {
+    items,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
 };
 
 const requireIngestApiKey = (req, res, next) => {
@@ -486,125 +591,192 @@ const requireIngestApiKey = (req, res, next) => {
   next();
 };
 
-const parseIngestRowsFromRequest = (req) => {
+const parseIngestRowsFromRequest = (req, profile = null) => {
   const rowsFromJson = Array.isArray(req.body?.rows) ? req.body.rows : [];
-  const rowsFromCsv = req.body?.csv ? parseCsvRows(req.body.csv) : [];
-  return [...rowsFromJson.map(toRowObject), ...rowsFromCsv];
+  const rowsFromCsv = req.body?.csv ? parseCsvRows(req.body.csv, profile) : [];
+  return [...rowsFromJson.map((row) => toRowObject(row, profile)), ...rowsFromCsv];
 };
 
-const processRailcarIngest = async (inputRows) => {
-  const customers = await Customer.find({}, '_id customerCode').lean();
-  const customerCodeMap = new Map(
-    customers.map((c) => [String(c.customerCode || '').trim().toUpperCase(), String(c._id)])
-  );
+const isCsvUpload = (req) => Boolean(req.is(['text/csv', 'application/csv', 'text/plain']));
+const isMultipartUpload = (req) => Boolean(req.is('multipart/form-data'));
+
+// Resolves with the first uploaded file stream plus any form fields sent before it. Options sent
+// after the file are not seen, so clients should put them in the query string or ahead of the file.
+const readMultipartUpload = (req) => new Promise((resolve, reject) => {
+  const parser = busboy({ headers: req.headers, limits: { files: 1 } });
+  const fields = {};
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('file', (name, stream) => resolve({ fields, stream }));
+  parser.on('close', () => resolve({ fields, stream: null }));
+  parser.on('error', reject);
+  req.pipe(parser);
+});
 
-  let upserted = 0;
-  let deactivated = 0;
-  const errors = [];
-  const seenByCustomer = new Map();
+// JSON bodies yield an array; CSV uploads yield an async iterator that parses rows as they arrive.
+const readIngestRequest = async (req) => {
+  let csvStream = null;
+  if (isMultipartUpload(req)) {
+    const { fields, stream } = await readMultipartUpload(req);
+    if (!stream) return { error: 'No CSV file was uploaded' };
+    req.body = fields;
+    csvStream = stream;
+  } else if (isCsvUpload(req)) {
+    csvStream = req;
+  }
+
+  const { profile, error } = await resolveIngestProfile(req);
+  if (error) {
+    if (csvStream) csvStream.resume();
+    return { error };
+  }
+
+  const rows = csvStream ? streamCsvRows(csvStream, profile) : parseIngestRowsFromRequest(req, profile);
+  return { rows, profile };
+};
+
+const resolveIngestProfile = async (req) => {
+  const name = String(req.query.profile ?? req.body?.profile ?? '').trim().toLowerCase();
+  if (!name) return { profile: null };
 
-  for (const row of inputRows) {
-    const carInitial = String(row.carInitial || '').trim().toUpperCase();
-    const carNumber = String(row.carNumber || '').trim();
-    const customerCode = String(row.customerCode || '').trim().toUpperCase();
+  const profile = await IngestProfile.findOne({ name, isActive: { $ne: false } }).lean();
+  return profile ? { profile } : { error: `Ingest profile "${name}" was not found or is inactive` };
+};
+
+const parseIngestOptionsFromRequest = (req) => ({
+  dryRun: parseBooleanParam(req.query.dryRun ?? req.body?.dryRun, false),
+  confirmDeactivation: parseBooleanParam(req.query.confirmDeactivation ?? req.body?.confirmDeactivation, false),
+});
 
-    if (!carInitial || !carNumber || !customerCode) {
-      errors.push({
-        row,
-        message: 'Missing required fields (Car Initial, Car Number, Customer Code)',
+const INGEST_BATCH_ENTRY_KINDS = ['change', 'rejected_row'];
+
+// Restores the pre-batch snapshot of every railcar the batch touched. Cars created by the batch
+// are deactivated rather than deleted so their event history stays intact. Cars changed since
+// the batch are reported as conflicts unless the caller forces the rollback.
+const rollbackIngestBatch = async (batch, { actorId = null, reason = '', force = false } = {}) => {
+  const byRailcar = new Map();
+  const changeCursor = IngestBatchEntry.find({ batch: batch._id, kind: 'change' })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+  for await (const change of changeCursor) {
+    const key = String(change.railcar);
+    if (!byRailcar.has(key)) {
+      byRailcar.set(key, {
+        railcar: change.railcar,
+        railcarID: change.railcarID,
+        action: change.action,
+        before: change.before,
+        after: {},
       });
-      continue;
     }
+    const entry = byRailcar.get(key);
+    entry.after = { ...entry.after, ...(change.after || {}) };
+  }
 
-    const customerId = customerCodeMap.get(customerCode);
-    if (!customerId) {
-      errors.push({ row, message: `Customer Code "${customerCode}" was not found` });
-      continue;
-    }
+  let outcome = null;
+  await mongoose.connection.transaction(async (session) => {
+    const conflicts = [];
+    const skipped = [];
+    const restorations = [];
+
+    for (const entry of byRailcar.values()) {
+      const railcar = await Railcar.findById(entry.railcar).session(session);
+      if (!railcar) {
+        skipped.push({ railcarID: entry.railcarID, reason: 'Railcar no longer exists' });
+        continue;
+      }
 
-    const hasReleaseDate = Boolean(String(row.releaseDate || '').trim());
-    const normalizedStatus = normalizeStatus(
-      row.currentStatus,
-      hasReleaseDate,
-      row.track,
-      row.trackId
-    );
-    const update = {
-      customerName: customerId,
-      carInitial,
-      carNumber,
-      railcarID: `${carInitial} ${carNumber}`,
-      commodity: String(row.commodity || '').trim(),
-      leStatus: String(row.leStatus || '').trim(),
-      currentStatus: normalizedStatus,
-      status: normalizedStatus,
-      station: String(row.station || '').trim(),
-      track: String(row.trackId || row.track || '').trim(),
-      trackPosition: String(row.trackPosition || '').trim(),
-      reportedWeight: toNumberOrNull(row.reportedWeight),
-      isActive: true,
-    };
+      const drift = diffRailcarFields(railcar, entry.after, Object.keys(entry.after));
+      if (drift.length > 0) {
+        conflicts.push({ railcarID: entry.railcarID, changesSinceBatch: drift });
+      }
 
-    const parsedRailcarBolNumber = String(row.railcarBolNumber || '').trim();
-    if (parsedRailcarBolNumber) {
-      update.railcarBolNumber = parsedRailcarBolNumber;
+      const target = entry.before ? { ...entry.before } : { isActive: false };
+      if (entry.before) {
+        Object.keys(entry.after).forEach((field) => {
+          if (!Object.prototype.hasOwnProperty.call(entry.before, field)) target[field] = undefined;
+        });
+      }
+      restorations.push({ entry, railcar, target });
     }
 
-    await Railcar.findOneAndUpdate(
-      { customerName: customerId, carInitial, carNumber },
-      { $set: update },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
-    upserted += 1;
+    if (conflicts.length > 0 && !force) {
+      outcome = { conflicts };
+      return;
+    }
+
+    const events = [];
+    const ledgerRailcars = [];
+    for (const { entry, railcar, target } of restorations) {
+      const changes = diffRailcarFields(railcar, target, Object.keys(target));
+      if (changes.length === 0) continue;
+
+      const previousStatus = railcar.currentStatus;
+      const previousTrack = String(railcar.track || '');
+      Object.entries(target).forEach(([field, value]) => railcar.set(field, value));
+      if (railcar.currentStatus !== previousStatus || String(railcar.track || '') !== previousTrack) {
+        railcar.statusHistory.push({
+          status: railcar.currentStatus,
+          track: railcar.track || '',
+          changedAt: new Date(),
+          source: 'ingest_rollback',
+          changedBy: actorId,
+        });
+      }
+      await railcar.save({ session });
+      if (changes.some(({ field }) => field === 'reportedWeight' || field === 'railcarBolNumber')) {
+        ledgerRailcars.push(railcar);
+      }
 
-    const key = `${carInitial}|${carNumber}`;
-    if (!seenByCustomer.has(customerId)) {
-      seenByCustomer.set(customerId, new Set());
+      events.push(buildRailcarEvent(railcar, {
+        eventType: 'ingest_rolled_back',
+        source: 'user',
+        changes,
+        actor: actorId,
+        notes: [
+          `Rollback of ingest batch ${batch._id}`,
+          entry.action === 'created' ? 'car was created by the batch and has been deactivated' : '',
+          reason,
+        ].filter(Boolean).join('; '),
+      }));
     }
-    seenByCustomer.get(customerId).add(key);
-  }
 
-  for (const [customerId, seenSet] of seenByCustomer.entries()) {
-    const activeRailcars = await Railcar.find({
-      customerName: customerId,
-      isActive: { $ne: false },
-    }).select('_id carInitial carNumber');
+    await recordRailcarEvents(events, { session });
+    await syncLedgerReportedWeights(ledgerRailcars, { session });
 
-    const toDeactivateIds = activeRailcars
-      .filter((railcar) => !seenSet.has(`${railcar.carInitial}|${railcar.carNumber}`))
-      .map((railcar) => railcar._id);
+    batch.status = 'rolled_back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = actorId;
+    batch.rollbackReason = reason;
+    batch.rollbackSkipped = skipped;
+    await batch.save({ session });
 
-    if (toDeactivateIds.length > 0) {
-      const result = await Railcar.updateMany(
-        { _id: { $in: toDeactivateIds } },
-        { $set: { isActive: false } }
-      );
-      deactivated += result.modifiedCount || 0;
-    }
-  }
+    outcome = { restored: events.length, skipped, overriddenConflicts: conflicts };
+  });
 
-  return {
-    message: 'Railcar import processed',
-    received: inputRows.length,
-    upserted,
-    deactivated,
-    rejected: errors.length,
-    errors,
-  };
+  return outcome;
 };
 
 router.post('/ingest', requireIngestApiKey, async (req, res) => {
   try {
-    const inputRows = parseIngestRowsFromRequest(req);
-    if (inputRows.length === 0) {
-      return res.status(400).json({ message: 'No railcar rows were provided. Send rows[] or csv.' });
+    const { rows, profile, error } = await readIngestRequest(req);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    const result = await processRailcarIngest(inputRows);
+    const result = await processRailcarIngest(rows, { ...parseIngestOptionsFromRequest(req), profile });
+    if (result.received === 0) {
+      return res.status(400).json({ message: 'No railcar rows were provided. Send rows[], csv, or a CSV upload.' });
+    }
     return res.status(200).json(result);
   } catch (err) {
     console.error('Error ingesting railcars:', err);
-    return res.status(500).json({ message: 'Server error while ingesting railcars' });
+    return res.status(500).json({
+      message: 'Server error while ingesting railcars',
+      batchId: err.ingestBatchId,
+    });
   }
 });
 
@@ -612,16 +784,154 @@ router.use(requireAuth);
 
 router.post('/ingest/manual', authorizeRoles(['internal', 'admin']), async (req, res) => {
   try {
-    const inputRows = parseIngestRowsFromRequest(req);
-    if (inputRows.length === 0) {
-      return res.status(400).json({ message: 'No railcar rows were provided. Send rows[] or csv.' });
+    const { rows, profile, error } = await readIngestRequest(req);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    const result = await processRailcarIngest(inputRows);
+    const result = await processRailcarIngest(rows, {
+      ...parseIngestOptionsFromRequest(req),
+      profile,
+      actorId: req.user?.id,
+      source: 'ingest_manual',
+    });
+    if (result.received === 0) {
+      return res.status(400).json({ message: 'No railcar rows were provided. Send rows[], csv, or a CSV upload.' });
+    }
     return res.status(200).json(result);
   } catch (err) {
     console.error('Error ingesting railcars (manual):', err);
-    return res.status(500).json({ message: 'Server error while ingesting railcars' });
+    return res.status(500).json({
+      message: 'Server error while ingesting railcars',
+      batchId: err.ingestBatchId,
+    });
+  }
+});
+
+router.get('/ingest/batches', authorizeRoles(['admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = String(req.query.status).trim();
+    }
+    if (req.query.source) {
+      query.source = String(req.query.source).trim();
+    }
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+    const batches = await IngestBatch.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('submittedBy', 'firstName lastName email')
+      .populate('rolledBackBy', 'firstName lastName email');
+    return res.status(200).json(batches);
+  } catch (err) {
+    console.error('Error fetching ingest batches:', err);
+    return res.status(500).json({ message: 'Server error while fetching ingest batches' });
+  }
+});
+
+router.get('/ingest/batches/:id', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest batch id' });
+  }
+
+  try {
+    const batch = await IngestBatch.findById(req.params.id)
+      .populate('submittedBy', 'firstName lastName email')
+      .populate('rolledBackBy', 'firstName lastName email');
+    if (!batch) {
+      return res.status(404).json({ message: 'Ingest batch not found' });
+    }
+    return res.status(200).json(batch);
+  } catch (err) {
+    console.error('Error fetching ingest batch:', err);
+    return res.status(500).json({ message: 'Server error while fetching ingest batch' });
+  }
+});
+
+// Changes and rejected rows are stored apart from the batch header, so they are paged here.
+router.get('/ingest/batches/:id/entries', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest batch id' });
+  }
+
+  const kind = String(req.query.kind || 'change').trim();
+  if (!INGEST_BATCH_ENTRY_KINDS.includes(kind)) {
+    return res.status(400).json({ message: `kind must be one of: ${INGEST_BATCH_ENTRY_KINDS.join(', ')}` });
+  }
+  const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  try {
+    const batchExists = await IngestBatch.exists({ _id: req.params.id });
+    if (!batchExists) {
+      return res.status(404).json({ message: 'Ingest batch not found' });
+    }
+
+    const query = { batch: req.params.id, kind };
+    const [items, total] = await Promise.all([
+      IngestBatchEntry.find(query)
+        .sort({ _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      IngestBatchEntry.countDocuments(query),
+    ]);
+    return res.status(200).json({
+      items,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('Error fetching ingest batch entries:', err);
+    return res.status(500).json({ message: 'Server error while fetching ingest batch entries' });
+  }
+});
+
+router.post('/ingest/batches/:id/rollback', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid ingest batch id' });
+  }
+
+  try {
+    const batch = await IngestBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Ingest batch not found' });
+    }
+    if (batch.status === 'rolled_back') {
+      return res.status(400).json({ message: 'Ingest batch has already been rolled back' });
+    }
+
+    const force = parseBooleanParam(req.body?.force ?? req.query.force, false);
+    // A batch still marked running is either in progress or was cut off before it was finalized.
+    if (batch.status === 'running' && !force) {
+      return res.status(409).json({
+        message: 'Ingest batch is still running. Re-submit with force=true if the import was interrupted.',
+      });
+    }
+
+    const outcome = await rollbackIngestBatch(batch, {
+      actorId: req.user?.id,
+      reason: String(req.body?.reason || '').trim(),
+      force,
+    });
+
+    if (outcome?.conflicts) {
+      return res.status(409).json({
+        message: 'Some railcars changed after this batch. Re-submit with force=true to overwrite them.',
+        conflicts: outcome.conflicts,
+      });
+    }
+
+    return res.status(200).json({ message: 'Ingest batch rolled back', batchId: batch._id, ...outcome });
+  } catch (err) {
+    console.error('Error rolling back ingest batch:', err);
+    return res.status(500).json({ message: 'Server error while rolling back ingest batch' });
   }
 });
 
@@ -709,14 +1019,183 @@ router.get('/report', authorizeRoles(['customer', 'internal', 'admin']), async (
   }
 });
 
-router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+router.get('/reports/demurrage', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
   try {
-    const query = { isActive: { $ne: false } };
-    const requestedStatus = req.query.currentStatus || req.query.status;
-    if (requestedStatus) {
-      query.currentStatus = normalizeStatus(requestedStatus);
+    const fromParam = parseDateParam(req.query.from);
+    const toParam = parseDateParam(req.query.to);
+    if (fromParam.error || toParam.error) {
+      return res.status(400).json({ message: 'Invalid from/to query parameters' });
+    }
+    const asOf = toParam.value || new Date();
+    const from = fromParam.value || null;
+    if (from && from > asOf) {
+      return res.status(400).json({ message: 'from must be before to' });
+    }
+
+    const query = { 'statusHistory.status': { $in: [...ON_SITE_STATUSES] } };
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      if (!tokenCustomerId) {
+        return res.status(403).json({ message: 'Customer scope is missing from token' });
+      }
+      query.customerName = tokenCustomerId;
+    } else if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = req.query.customerId;
+    }
+
+    const railcars = await Railcar.find(query)
+      .select('customerName railcarID carInitial carNumber currentStatus track railcarBolNumber statusHistory releasedAsEmptyAt')
+      .populate('customerName', 'customerName customerCode demurrageFreeDays demurrageDailyRate')
+      .sort({ railcarID: 1 })
+      .lean();
+
+    const rows = [];
+    railcars.forEach((railcar) => {
+      computeRailcarDemurrage(railcar, railcar.customerName, { from, asOf }).forEach((demurrage) => {
+        rows.push({
+          railcarDocId: String(railcar._id),
+          railcarID: railcar.railcarID || '',
+          customerId: String(railcar.customerName?._id || railcar.customerName || ''),
+          customerName: railcar.customerName?.customerName || 'Unknown Customer',
+          customerCode: railcar.customerName?.customerCode || '',
+          currentStatus: railcar.currentStatus || '',
+          track: railcar.track || '',
+          railcarBolNumber: railcar.railcarBolNumber || '',
+          ...demurrage,
+          arrivedAt: demurrage.arrivedAt.toISOString(),
+          releasedAt: demurrage.releasedAt ? demurrage.releasedAt.toISOString() : null,
+        });
+      });
+    });
+
+    const byCustomerMap = new Map();
+    const countedRailcars = new Set();
+    rows.forEach((row) => {
+      if (!byCustomerMap.has(row.customerId)) {
+        byCustomerMap.set(row.customerId, {
+          customerId: row.customerId,
+          customerName: row.customerName,
+          railcarCount: 0,
+          visitCount: 0,
+          daysOnSite: 0,
+          chargeableDays: 0,
+          totalCharge: 0,
+        });
+      }
+      const summary = byCustomerMap.get(row.customerId);
+      if (!countedRailcars.has(row.railcarDocId)) {
+        countedRailcars.add(row.railcarDocId);
+        summary.railcarCount += 1;
+      }
+      summary.visitCount += 1;
+      summary.daysOnSite += row.daysOnSite;
+      summary.chargeableDays += row.chargeableDays;
+      summary.totalCharge = Math.round((summary.totalCharge + row.charge) * 100) / 100;
+    });
+    const byCustomer = [...byCustomerMap.values()].sort((a, b) =>
+      String(a.customerName).localeCompare(String(b.customerName), undefined, { sensitivity: 'base' })
+    );
+    const grandTotal = byCustomer.reduce(
+      (acc, summary) => ({
+        railcarCount: acc.railcarCount + summary.railcarCount,
+        visitCount: acc.visitCount + summary.visitCount,
+        chargeableDays: acc.chargeableDays + summary.chargeableDays,
+        totalCharge: Math.round((acc.totalCharge + summary.totalCharge) * 100) / 100,
+      }),
+      { railcarCount: 0, visitCount: 0, chargeableDays: 0, totalCharge: 0 }
+    );
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const headers = [
+        'Railcar ID',
+        'Customer',
+        'Customer Code',
+        'Current Status',
+        'Track',
+        'Rail Shipment BOL',
+        'Visit',
+        'Arrived At',
+        'Released At',
+        'Days On Site',
+        'On-Spot Days',
+        'Storage Days',
+        'Free Days',
+        'Chargeable Days',
+        'Daily Rate',
+        'Charge',
+      ];
+
+      const lines = [
+        headers.join(','),
+        ...rows.map((row) =>
+          [
+            row.railcarID,
+            row.customerName,
+            row.customerCode,
+            row.currentStatus,
+            row.track,
+            row.railcarBolNumber,
+            row.visitNumber,
+            row.arrivedAt,
+            row.releasedAt || '',
+            row.daysOnSite,
+            row.onSpotDays,
+            row.storageDays,
+            row.freeDays,
+            row.chargeableDays,
+            row.dailyRate,
+            row.charge,
+          ]
+            .map(csvEscape)
+            .join(',')
+        ),
+      ];
+
+      const filename = `railcar-demurrage-${asOf.toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(lines.join('\r\n'));
+    }
+
+    return res.status(200).json({
+      from: from ? from.toISOString() : null,
+      asOf: asOf.toISOString(),
+      byCustomer,
+      grandTotal,
+      rows,
+    });
+  } catch (err) {
+    console.error('Error generating demurrage report:', err);
+    return res.status(500).json({ message: 'Server error while generating demurrage report' });
+  }
+});
+
+router.get('/reports/reconciliation', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  try {
+    const fromParam = parseDateParam(req.query.from);
+    const toParam = parseDateParam(req.query.to);
+    if (fromParam.error || toParam.error) {
+      return res.status(400).json({ message: 'Invalid from/to query parameters' });
+    }
+    const from = fromParam.value || null;
+    const to = toParam.value || null;
+    if (from && to && from > to) {
+      return res.status(400).json({ message: 'from must be before to' });
     }
 
+    let tolerancePercent = getReconciliationTolerancePercent();
+    if (req.query.tolerancePercent != null && String(req.query.tolerancePercent).trim() !== '') {
+      tolerancePercent = Number(req.query.tolerancePercent);
+      if (!Number.isFinite(tolerancePercent) || tolerancePercent < 0) {
+        return res.status(400).json({ message: 'tolerancePercent must be a non-negative number' });
+      }
+    }
+    const flaggedOnly = parseBooleanParam(req.query.flaggedOnly, false);
+
+    const query = { currentStatus: 'Released' };
     if (isCustomerUser(req)) {
       const tokenCustomerId = customerIdFromToken(req);
       if (!tokenCustomerId) {
@@ -730,7 +1209,200 @@ router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, r
       query.customerName = req.query.customerId;
     }
 
-    const response = await fetchRailcarsWithComputedWeights(query);
+    const railcars = await Railcar.find(query)
+      .select('customerName materialName railcarID currentStatus track railcarBolNumber reportedWeight statusHistory releasedAsEmptyAt')
+      .populate('customerName', 'customerName customerCode')
+      .populate('materialName', 'materialName refNum')
+      .sort({ railcarID: 1 })
+      .lean();
+
+    const released = railcars
+      .map((railcar) => ({ railcar, releasedAt: getRailcarReleasedAt(railcar) }))
+      .filter(({ releasedAt }) => {
+        if (from && (!releasedAt || releasedAt < from)) return false;
+        if (to && (!releasedAt || releasedAt > to)) return false;
+        return true;
+      });
+
+    const ledgerMap = await loadLedgerMapForRailcars(released.map(({ railcar }) => railcar));
+    const conversionTotals = released.length === 0
+      ? []
+      : await GroundInventoryLot.aggregate([
+        {
+          $match: {
+            sourceType: 'railcar_conversion',
+            sourceRailcarDocId: { $in: released.map(({ railcar }) => railcar._id) },
+            // Lots archived by an unrelease were superseded by the conversion on the later release.
+            status: { $ne: 'archived' },
+          },
+        },
+        { $group: { _id: '$sourceRailcarDocId', convertedWeight: { $sum: '$startingWeight' }, lotCount: { $sum: 1 } } },
+      ]);
+    const conversionByRailcar = new Map(conversionTotals.map((entry) => [String(entry._id), entry]));
+
+    // Variance compares what left the car (BOL unloads plus ground conversion) with what the
+    // carrier reported; negative variance means less was accounted for than reported.
+    const rows = [];
+    released.forEach(({ railcar, releasedAt }) => {
+      const ledgerEntry = getLedgerEntryForRailcar(ledgerMap, railcar);
+      const conversion = conversionByRailcar.get(String(railcar._id));
+      const reportedWeight = Number(railcar.reportedWeight || 0);
+      const unloadedWeight = roundWeight(ledgerEntry?.unloadedWeight);
+      const convertedWeight = roundWeight(conversion?.convertedWeight);
+      const accountedWeight = roundWeight(unloadedWeight + convertedWeight);
+      const varianceWeight = reportedWeight > 0 ? roundWeight(accountedWeight - reportedWeight) : null;
+      const variancePercent = reportedWeight > 0
+        ? Math.round((varianceWeight / reportedWeight) * 10000) / 100
+        : null;
+      const exceedsTolerance = variancePercent != null && Math.abs(variancePercent) > tolerancePercent;
+      if (flaggedOnly && !exceedsTolerance) return;
+
+      rows.push({
+        railcarDocId: String(railcar._id),
+        railcarID: railcar.railcarID || '',
+        customerId: String(railcar.customerName?._id || railcar.customerName || ''),
+        customerName: railcar.customerName?.customerName || 'Unknown Customer',
+        customerCode: railcar.customerName?.customerCode || '',
+        materialName: railcar.materialName?.materialName || '',
+        railcarBolNumber: railcar.railcarBolNumber || '',
+        releasedAt: releasedAt ? releasedAt.toISOString() : null,
+        reportedWeight: railcar.reportedWeight ?? null,
+        unloadedWeight,
+        bolCount: ledgerEntry?.bolCount || 0,
+        convertedWeight,
+        groundLotCount: conversion?.lotCount || 0,
+        accountedWeight,
+        varianceWeight,
+        absoluteVarianceWeight: varianceWeight == null ? null : Math.abs(varianceWeight),
+        variancePercent,
+        exceedsTolerance,
+      });
+    });
+
+    const byCustomerMap = new Map();
+    rows.forEach((row) => {
+      if (!byCustomerMap.has(row.customerId)) {
+        byCustomerMap.set(row.customerId, {
+          customerId: row.customerId,
+          customerName: row.customerName,
+          railcarCount: 0,
+          flaggedCount: 0,
+          reportedWeight: 0,
+          unloadedWeight: 0,
+          convertedWeight: 0,
+          varianceWeight: 0,
+        });
+      }
+      const summary = byCustomerMap.get(row.customerId);
+      summary.railcarCount += 1;
+      if (row.exceedsTolerance) summary.flaggedCount += 1;
+      summary.reportedWeight = roundWeight(summary.reportedWeight + Number(row.reportedWeight || 0));
+      summary.unloadedWeight = roundWeight(summary.unloadedWeight + row.unloadedWeight);
+      summary.convertedWeight = roundWeight(summary.convertedWeight + row.convertedWeight);
+      summary.varianceWeight = roundWeight(summary.varianceWeight + Number(row.varianceWeight || 0));
+    });
+    const byCustomer = [...byCustomerMap.values()].sort((a, b) =>
+      String(a.customerName).localeCompare(String(b.customerName), undefined, { sensitivity: 'base' })
+    );
+    const grandTotal = byCustomer.reduce(
+      (acc, summary) => ({
+        railcarCount: acc.railcarCount + summary.railcarCount,
+        flaggedCount: acc.flaggedCount + summary.flaggedCount,
+        reportedWeight: roundWeight(acc.reportedWeight + summary.reportedWeight),
+        unloadedWeight: roundWeight(acc.unloadedWeight + summary.unloadedWeight),
+        convertedWeight: roundWeight(acc.convertedWeight + summary.convertedWeight),
+        varianceWeight: roundWeight(acc.varianceWeight + summary.varianceWeight),
+      }),
+      { railcarCount: 0, flaggedCount: 0, reportedWeight: 0, unloadedWeight: 0, convertedWeight: 0, varianceWeight: 0 }
+    );
+
+    if ((req.query.format || '').toLowerCase() === 'csv') {
+      const headers = [
+        'Railcar ID',
+        'Customer',
+        'Customer Code',
+        'Material',
+        'Rail Shipment BOL',
+        'Released At',
+        'Reported Weight',
+        'Unloaded Weight',
+        'BOL Count',
+        'Ground Conversion Weight',
+        'Accounted Weight',
+        'Variance Weight',
+        'Absolute Variance Weight',
+        'Variance Percent',
+        'Exceeds Tolerance',
+      ];
+
+      const lines = [
+        headers.join(','),
+        ...rows.map((row) =>
+          [
+            row.railcarID,
+            row.customerName,
+            row.customerCode,
+            row.materialName,
+            row.railcarBolNumber,
+            row.releasedAt || '',
+            row.reportedWeight ?? '',
+            row.unloadedWeight,
+            row.bolCount,
+            row.convertedWeight,
+            row.accountedWeight,
+            row.varianceWeight ?? '',
+            row.absoluteVarianceWeight ?? '',
+            row.variancePercent ?? '',
+            row.exceedsTolerance ? 'Yes' : 'No',
+          ]
+            .map(csvEscape)
+            .join(',')
+        ),
+      ];
+
+      const filename = `railcar-reconciliation-${(to || new Date()).toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(lines.join('\r\n'));
+    }
+
+    return res.status(200).json({
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      tolerancePercent,
+      byCustomer,
+      grandTotal,
+      rows,
+    });
+  } catch (err) {
+    console.error('Error generating railcar reconciliation report:', err);
+    return res.status(500).json({ message: 'Server error while generating railcar reconciliation report' });
+  }
+});
+
+router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  try {
+    const listOptions = parseRailcarListQuery(req.query);
+    if (listOptions.error) {
+      return res.status(400).json({ message: listOptions.error });
+    }
+
+    // Aggregation $match does not cast, so ids are converted here.
+    const query = { ...listOptions.match, isActive: { $ne: false } };
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      if (!tokenCustomerId || !isValidObjectId(tokenCustomerId)) {
+        return res.status(403).json({ message: 'Customer scope is missing from token' });
+      }
+      query.customerName = new mongoose.Types.ObjectId(String(tokenCustomerId));
+    } else if (req.query.customerId) {
+      if (!isValidObjectId(req.query.customerId)) {
+        return res.status(400).json({ message: 'Invalid customerId query parameter' });
+      }
+      query.customerName = new mongoose.Types.ObjectId(String(req.query.customerId));
+    }
+
+    const response = await searchRailcarsWithComputedWeights(query, listOptions);
 
     res.status(200).json(response);
   } catch (err) {
@@ -739,6 +1411,39 @@ router.get('/', authorizeRoles(['customer', 'internal', 'admin']), async (req, r
   }
 });
 
+router.get('/:id/timeline', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid railcar id' });
+  }
+
+  try {
+    const railcar = await Railcar.findById(req.params.id)
+      .select('customerName railcarID carInitial carNumber currentStatus track isActive')
+      .populate('customerName', 'customerName');
+    if (!railcar) {
+      return res.status(404).json({ message: 'Railcar not found' });
+    }
+
+    if (isCustomerUser(req)) {
+      const tokenCustomerId = customerIdFromToken(req);
+      const railcarCustomerId = railcar.customerName?._id || railcar.customerName;
+      if (!tokenCustomerId || String(railcarCustomerId) !== String(tokenCustomerId)) {
+        return res.status(403).json({ message: 'Access forbidden: railcar is outside customer scope' });
+      }
+    }
+
+    const events = await RailcarEvent.find({ railcar: railcar._id })
+      .sort({ occurredAt: 1, _id: 1 })
+      .populate('actor', 'firstName lastName email')
+      .lean();
+
+    return res.status(200).json({ railcar, events });
+  } catch (err) {
+    console.error('Error fetching railcar timeline:', err);
+    return res.status(500).json({ message: 'Server error while fetching railcar timeline' });
+  }
+});
+
 router.put('/:id/details', authorizeRoles(['internal', 'admin']), async (req, res) => {
   try {
     const railcar = await Railcar.findById(req.params.id);
@@ -792,6 +1497,22 @@ router.put('/:id/details', authorizeRoles(['internal', 'admin']), async (req, re
       .populate('customerName', 'customerName')
       .populate('materialName', 'materialName refNum');
 
+    const changes = diffRailcarFields(railcar, payload, Object.keys(payload));
+    if (changes.length > 0) {
+      await recordRailcarEvents([
+        buildRailcarEvent(railcar, {
+          eventType: 'details_updated',
+          source: 'user',
+          changes,
+          actor: req.user?.id,
+        }),
+      ]);
+    }
+
+    if (changes.some(({ field }) => field === 'railcarBolNumber')) {
+      await syncLedgerReportedWeights([{ ...railcar.toObject(), ...payload }]);
+    }
+
     return res.status(200).json({ message: 'Railcar details updated successfully', railcar: updated });
   } catch (err) {
     console.error('Error updating railcar details:', err);
@@ -818,11 +1539,20 @@ router.put('/:id/release-empty', authorizeRoles(['customer', 'internal', 'admin'
       return res.status(400).json({ message: 'Only Available or On-Spot railcars can be released as empty' });
     }
 
+    const previousStatus = railcar.currentStatus;
+    const previousLeStatus = railcar.leStatus || '';
     railcar.currentStatus = 'Released';
     railcar.status = 'Released';
     railcar.leStatus = railcar.leStatus || 'Released Empty';
     railcar.releasedAsEmptyAt = new Date();
     railcar.releasedAsEmptyBy = req.user?.id || railcar.releasedAsEmptyBy;
+    railcar.statusHistory.push({
+      status: 'Released',
+      track: railcar.track || '',
+      changedAt: railcar.releasedAsEmptyAt,
+      source: 'release_empty',
+      changedBy: req.user?.id || null,
+    });
 
     const [scopedWithWeight] = await fetchRailcarsWithComputedWeights({ _id: railcar._id });
     const remainingWeight = Number(scopedWithWeight?.remainingWeight || 0);
@@ -866,7 +1596,35 @@ router.put('/:id/release-empty', authorizeRoles(['customer', 'internal', 'admin'
       }
     }
 
+    railcar.placementRequestedAt = undefined;
     const saved = await railcar.save();
+    // A released car can no longer be spotted, so drop it from the placement queue.
+    await PlacementRequest.updateMany(
+      { railcar: saved._id, status: { $in: OPEN_PLACEMENT_STATUSES } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: saved.releasedAsEmptyAt,
+          cancelledBy: req.user?.id || null,
+          cancelReason: 'Railcar released as empty',
+        },
+      }
+    );
+    await recordRailcarEvents([
+      buildRailcarEvent(saved, {
+        eventType: 'released_empty',
+        source: 'user',
+        changes: [
+          { field: 'currentStatus', from: previousStatus, to: 'Released' },
+          ...(previousLeStatus !== saved.leStatus
+            ? [{ field: 'leStatus', from: previousLeStatus || null, to: saved.leStatus }]
+            : []),
+        ],
+        actor: req.user?.id,
+        occurredAt: saved.releasedAsEmptyAt,
+        notes: conversionResult?.created ? `Converted to ground lot ${conversionResult.lotId}` : '',
+      }),
+    ]);
 
     try {
       const [actor, customer] = await Promise.all([
@@ -888,6 +1646,118 @@ router.put('/:id/release-empty', authorizeRoles(['customer', 'internal', 'admin'
   }
 });
 
+router.put('/:id/unrelease', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid railcar id' });
+  }
+
+  try {
+    const railcar = await Railcar.findById(req.params.id);
+    if (!railcar) {
+      return res.status(404).json({ message: 'Railcar not found' });
+    }
+
+    if (railcar.currentStatus !== 'Released' || !railcar.releasedAsEmptyAt) {
+      return res.status(400).json({ message: 'Only railcars released as empty can be unreleased' });
+    }
+
+    // Prefer the values captured on the release event; older releases only have status history.
+    const releaseEvent = await RailcarEvent.findOne({ railcar: railcar._id, eventType: 'released_empty' })
+      .sort({ occurredAt: -1 })
+      .lean();
+    const releaseChange = (field) => (releaseEvent?.changes || []).find((change) => change.field === field);
+    const history = railcar.statusHistory || [];
+    let releaseIndex = -1;
+    history.forEach((entry, index) => {
+      if (entry.source === 'release_empty') releaseIndex = index;
+    });
+    const candidateStatus = releaseChange('currentStatus')?.from || history[releaseIndex - 1]?.status;
+    const restoredStatus = ON_SITE_STATUSES.has(candidateStatus) ? candidateStatus : 'Available';
+
+    // Matched by car rather than conversion token, which changes if the rail BOL number is edited.
+    const lot = await GroundInventoryLot.findOne({
+      sourceRailcarDocId: railcar._id,
+      sourceType: 'railcar_conversion',
+      status: { $ne: 'archived' },
+    }).sort({ receivedAt: -1 });
+    const activeAllocationCount = lot
+      ? await GroundInventoryAllocation.countDocuments({ lotId: lot._id, reversedAt: null })
+      : 0;
+    if (activeAllocationCount > 0) {
+      return res.status(409).json({
+        message: 'The ground lot converted from this railcar already has allocations. Reverse them before unreleasing.',
+        lotId: lot._id,
+        allocationCount: activeAllocationCount,
+      });
+    }
+
+    const previousLeStatus = railcar.leStatus || '';
+    const previousReleasedAt = railcar.releasedAsEmptyAt;
+    const leStatusChange = releaseChange('leStatus');
+    railcar.currentStatus = restoredStatus;
+    railcar.status = restoredStatus;
+    if (leStatusChange) railcar.leStatus = leStatusChange.from || '';
+    railcar.releasedAsEmptyAt = undefined;
+    railcar.releasedAsEmptyBy = undefined;
+    railcar.statusHistory.push({
+      status: restoredStatus,
+      track: railcar.track || '',
+      changedAt: new Date(),
+      source: 'unrelease',
+      changedBy: req.user?.id || null,
+    });
+
+    let lotResult = null;
+    let saved;
+    await mongoose.connection.transaction(async (session) => {
+      if (lot) {
+        // The lot is kept so balances already reported for earlier periods can be rebuilt; the
+        // conversion token is freed so a later release can convert the car again.
+        lot.status = 'archived';
+        lot.archivedAt = new Date();
+        lot.conversionToken = '';
+        lot.notes = [lot.notes, 'Archived when the railcar release was reversed'].filter(Boolean).join('; ');
+        await lot.save({ session });
+        lotResult = { lotId: lot._id, action: 'archived' };
+      }
+
+      saved = await railcar.save({ session });
+
+      const changes = [
+        { field: 'currentStatus', from: 'Released', to: restoredStatus },
+        { field: 'releasedAsEmptyAt', from: previousReleasedAt, to: null },
+      ];
+      if (previousLeStatus !== (saved.leStatus || '')) {
+        changes.push({ field: 'leStatus', from: previousLeStatus || null, to: saved.leStatus || null });
+      }
+      await recordRailcarEvents([
+        buildRailcarEvent(saved, {
+          eventType: 'release_reversed',
+          source: 'user',
+          changes,
+          actor: req.user?.id,
+          notes: lotResult ? `Ground lot ${lotResult.lotId} ${lotResult.action}` : '',
+        }),
+      ], { session });
+    });
+
+    try {
+      const [actor, customer] = await Promise.all([
+        User.findById(req.user?.id).select('firstName lastName email'),
+        Customer.findById(saved.customerName).select('customerName'),
+      ]);
+      await sendReleaseReversedNotification({ railcar: saved, actor, customer, restoredStatus });
+    } catch (emailErr) {
+      console.error('Railcar release reversal email notification failed:', emailErr);
+    }
+
+    return res.status(200).json({ message: 'Railcar release reversed', railcar: saved, groundLot: lotResult });
+  } catch (err) {
+    console.error('Error reversing railcar release:', err);
+    return res.status(500).json({ message: 'Server error while reversing railcar release' });
+  }
+});
+
 router.put('/:id/request-placement', authorizeRoles(['customer', 'internal', 'admin']), async (req, res) => {
   try {
     const railcar = await Railcar.findById(req.params.id);
@@ -910,9 +1780,49 @@ router.put('/:id/request-placement', authorizeRoles(['customer', 'internal', 'ad
       return res.status(400).json({ message: 'Released railcars cannot request placement' });
     }
 
+    const openRequest = await findOpenPlacementRequest(railcar._id);
+    if (openRequest) {
+      return res.status(409).json({
+        message: 'A placement request is already open for this railcar',
+        placementRequest: openRequest,
+      });
+    }
+
+    const previousPlacementRequestedAt = railcar.placementRequestedAt || null;
     railcar.placementRequestedAt = new Date();
     railcar.placementRequestedBy = req.user?.id || railcar.placementRequestedBy;
+    railcar.statusHistory.push({
+      status: railcar.currentStatus || 'Inbound',
+      track: railcar.track || '',
+      changedAt: railcar.placementRequestedAt,
+      source: 'request_placement',
+      changedBy: req.user?.id || null,
+    });
     const saved = await railcar.save();
+    const placementRequest = await PlacementRequest.create({
+      railcar: saved._id,
+      customerName: saved.customerName,
+      railcarID: saved.railcarID || '',
+      requestedAt: saved.placementRequestedAt,
+      requestedBy: req.user?.id || null,
+      requestedStatus: saved.currentStatus || '',
+      requestedTrack: saved.track || '',
+      notes: typeof req.body?.notes === 'string' ? req.body.notes.trim() : '',
+    });
+    await recordRailcarEvents([
+      buildRailcarEvent(saved, {
+        eventType: 'placement_requested',
+        source: 'user',
+        changes: diffRailcarFields(
+          { placementRequestedAt: previousPlacementRequestedAt },
+          { placementRequestedAt: saved.placementRequestedAt },
+          ['placementRequestedAt']
+        ),
+        actor: req.user?.id,
+        occurredAt: saved.placementRequestedAt,
+        notes: `Placement request ${placementRequest._id}`,
+      }),
+    ]);
 
     try {
       const [actor, customer] = await Promise.all([
@@ -924,7 +1834,7 @@ router.put('/:id/request-placement', authorizeRoles(['customer', 'internal', 'ad
       console.error('Railcar placement request email notification failed:', emailErr);
     }
 
-    res.status(200).json({ message: 'Placement request sent', railcar: saved });
+    res.status(200).json({ message: 'Placement request sent', railcar: saved, placementRequest });
   } catch (err) {
     console.error('Error requesting railcar placement:', err);
     res.status(500).json({ message: 'Server error while requesting railcar placement' });
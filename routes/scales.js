@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const BOL = require('../models/BOL');
+const {
+  getCurrentReading,
+  isConfiguredScale,
+  listScales,
+  normalizeScaleId,
+} = require('../utils/scale-reader');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+const CAPTURE_FIELDS = {
+  gross: { weightField: 'grossWeight', capturedAtField: 'grossCapturedAt' },
+  tare: { weightField: 'tareWeight', capturedAtField: 'tareCapturedAt' },
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const scales = listScales().map((scale) => ({
+      ...scale,
+      current: getCurrentReading(scale.scaleId),
+    }));
+    return res.status(200).json(scales);
+  } catch (err) {
+    console.error('Error listing scales:', err);
+    return res.status(500).json({ message: 'Server error while listing scales' });
+  }
+});
+
+router.get('/:scaleId/current', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const scaleId = normalizeScaleId(req.params.scaleId);
+    if (!isConfiguredScale(scaleId)) {
+      return res.status(404).json({ message: `Scale "${scaleId}" is not configured` });
+    }
+
+    const reading = getCurrentReading(scaleId);
+    if (!reading) {
+      return res.status(404).json({ message: `No reading has been received from scale "${scaleId}"` });
+    }
+
+    return res.status(200).json(reading);
+  } catch (err) {
+    console.error('Error fetching scale reading:', err);
+    return res.status(500).json({ message: 'Server error while fetching scale reading' });
+  }
+});
+
+router.post(
+  '/:scaleId/capture',
+  authorizeRoles(['internal', 'admin']),
+  [
+    body('bolId').notEmpty().isMongoId().withMessage('BOL id is required and must be a valid ID'),
+    body('field').isIn(Object.keys(CAPTURE_FIELDS)).withMessage('Capture field must be gross or tare'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const scaleId = normalizeScaleId(req.params.scaleId);
+      if (!isConfiguredScale(scaleId)) {
+        return res.status(404).json({ message: `Scale "${scaleId}" is not configured` });
+      }
+
+      const reading = getCurrentReading(scaleId);
+      if (!reading) {
+        return res.status(409).json({ message: `No reading has been received from scale "${scaleId}"` });
+      }
+      if (reading.stale) {
+        return res.status(409).json({ message: 'Scale reading is stale. Check the indicator connection.' });
+      }
+      if (!reading.stable) {
+        return res.status(409).json({ message: 'Scale is not stable. Wait for motion to settle and try again.' });
+      }
+      if (reading.mode !== 'gross') {
+        return res.status(409).json({ message: 'Scale is displaying net weight. Switch the indicator to gross mode.' });
+      }
+
+      if (!isValidObjectId(req.body.bolId)) {
+        return res.status(400).json({ message: 'Invalid BOL id' });
+      }
+
+      const bol = await BOL.findById(req.body.bolId);
+      if (!bol) {
+        return res.status(404).json({ message: 'BOL not found' });
+      }
+      if (bol.status !== 'Draft') {
+        return res.status(400).json({ message: 'Scale weights can only be captured onto Draft BOLs' });
+      }
+
+      const { weightField, capturedAtField } = CAPTURE_FIELDS[req.body.field];
+      bol[weightField] = reading.weightLbs;
+      bol[capturedAtField] = new Date();
+      bol.weightSource = 'scale';
+      bol.scaleId = scaleId;
+
+      const saved = await bol.save();
+      return res.status(200).json({
+        message: `Captured ${req.body.field} weight from scale ${scaleId}`,
+        reading,
+        bol: saved,
+      });
+    } catch (err) {
+      console.error('Error capturing scale weight:', err);
+      return res.status(500).json({ message: 'Server error while capturing scale weight' });
+    }
+  }
+);
+
+module.exports = router;
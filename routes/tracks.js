@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const Track = require('../models/Track');
+const { normalizeTrackToken, refreshRailcarYardTracks } = require('../utils/yard-tracks');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const TRACK_TYPES = ['spot', 'storage', 'interchange'];
+
+const trackValidation = [
+  body('name').trim().notEmpty().withMessage('Track name is required'),
+  body('type').isIn(TRACK_TYPES).withMessage(`Track type must be one of: ${TRACK_TYPES.join(', ')}`),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+  body('station').optional().isString().withMessage('Station must be text'),
+  body('capacity').optional().isInt({ min: 0 }).withMessage('Capacity must be a whole number of cars'),
+  body('spotPositions').optional().isArray().withMessage('Spot positions must be a list'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be a whole number'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+  body('isActive').optional().isBoolean().withMessage('Is Active must be true or false').toBoolean(),
+];
+
+const toTrimmedList = (values = []) =>
+  [...new Set((values || []).map((value) => String(value).trim()).filter(Boolean))];
+
+const buildTrackPayload = (input = {}) => {
+  const payload = {
+    name: String(input.name || '').trim(),
+    type: input.type,
+    aliases: toTrimmedList(input.aliases),
+    station: String(input.station || '').trim(),
+    capacity: Number(input.capacity || 0),
+    spotPositions: toTrimmedList(input.spotPositions),
+    sortOrder: Number(input.sortOrder || 0),
+    notes: String(input.notes || ''),
+  };
+  if (input.isActive !== undefined) payload.isActive = input.isActive === true;
+  return payload;
+};
+
+// Ingest resolves track text by name or alias, so a label may belong to only one track.
+const findTrackLabelConflict = async (payload, excludeId = null) => {
+  const tokens = new Set([payload.name, ...payload.aliases].map(normalizeTrackToken).filter(Boolean));
+  const query = excludeId ? { _id: { $ne: excludeId } } : {};
+  const otherTracks = await Track.find(query).select('name aliases').lean();
+  for (const track of otherTracks) {
+    const clash = [track.name, ...(track.aliases || [])].find((label) => tokens.has(normalizeTrackToken(label)));
+    if (clash) return `"${clash}" is already used by track ${track.name}`;
+  }
+  return null;
+};
+
+// Track map edits change which yard track existing cars belong to; refresh is best effort.
+const refreshYardAssignments = async () => {
+  try {
+    return await refreshRailcarYardTracks();
+  } catch (err) {
+    console.error('Error refreshing railcar yard tracks:', err);
+    return null;
+  }
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (String(req.query.includeInactive || '').toLowerCase() !== 'true') {
+      query.isActive = { $ne: false };
+    }
+
+    const tracks = await Track.find(query).sort({ sortOrder: 1, name: 1 });
+    res.status(200).json(tracks);
+  } catch (err) {
+    console.error('Error fetching tracks:', err);
+    res.status(500).json({ message: 'Server error while fetching tracks' });
+  }
+});
+
+router.get('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid track id' });
+  }
+
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(200).json(track);
+  } catch (err) {
+    console.error('Error fetching track:', err);
+    res.status(500).json({ message: 'Server error while fetching track' });
+  }
+});
+
+router.post('/', authorizeRoles(['admin']), trackValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payload = buildTrackPayload(req.body);
+    const labelConflict = await findTrackLabelConflict(payload);
+    if (labelConflict) {
+      return res.status(400).json({ message: labelConflict });
+    }
+
+    const track = await Track.create({
+      ...payload,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    const railcarsReassigned = await refreshYardAssignments();
+    res.status(201).json({ message: 'Track created successfully', track, railcarsReassigned });
+  } catch (err) {
+    console.error('Error creating track:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A track with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error while creating track' });
+  }
+});
+
+router.put('/:id', authorizeRoles(['admin']), trackValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid track id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payload = buildTrackPayload(req.body);
+    const labelConflict = await findTrackLabelConflict(payload, req.params.id);
+    if (labelConflict) {
+      return res.status(400).json({ message: labelConflict });
+    }
+
+    const track = await Track.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...payload, updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    const railcarsReassigned = await refreshYardAssignments();
+    res.status(200).json({ message: 'Track updated successfully', track, railcarsReassigned });
+  } catch (err) {
+    console.error('Error updating track:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A track with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error while updating track' });
+  }
+});
+
+router.delete('/:id', authorizeRoles(['admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid track id' });
+  }
+
+  try {
+    const track = await Track.findByIdAndDelete(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    const railcarsReassigned = await refreshYardAssignments();
+    res.status(200).json({ message: 'Track deleted successfully', railcarsReassigned });
+  } catch (err) {
+    console.error('Error deleting track:', err);
+    res.status(500).json({ message: 'Server error while deleting track' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const Truck = require('../models/Truck');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const normalizeEquipmentNumber = (value) => String(value || '').trim().toUpperCase();
+
+const truckValidation = [
+  body('carrierName').trim().notEmpty().withMessage('Carrier is required'),
+  body('truckNumber').trim().notEmpty().withMessage('Truck # is required'),
+  body('trailerNumber').optional({ nullable: true }).isString().withMessage('Trailer # must be text'),
+  body('certifiedTareWeight')
+    .exists().withMessage('Certified tare weight is required')
+    .bail()
+    .isFloat({ min: 0 }).withMessage('Certified tare weight must be a non-negative number'),
+  body('tareCertifiedAt').notEmpty().isISO8601().withMessage('Tare certified date is required and must be valid'),
+  body('tareExpiresAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Tare expiration must be a valid date'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+  body('isActive').optional().isBoolean().withMessage('Is Active must be true or false'),
+];
+
+const buildTruckPayload = (input = {}) => {
+  const payload = {
+    carrierName: String(input.carrierName || '').trim(),
+    truckNumber: normalizeEquipmentNumber(input.truckNumber),
+    trailerNumber: normalizeEquipmentNumber(input.trailerNumber),
+    certifiedTareWeight: Number(input.certifiedTareWeight),
+    tareCertifiedAt: new Date(input.tareCertifiedAt),
+    tareExpiresAt: input.tareExpiresAt ? new Date(input.tareExpiresAt) : null,
+    notes: String(input.notes || '').trim(),
+  };
+  if (input.isActive !== undefined) {
+    payload.isActive = input.isActive === true || input.isActive === 'true';
+  }
+  return payload;
+};
+
+router.use(requireAuth);
+
+router.post('/', authorizeRoles(['internal', 'admin']), truckValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payload = buildTruckPayload(req.body);
+    if (payload.tareExpiresAt && payload.tareExpiresAt < payload.tareCertifiedAt) {
+      return res.status(400).json({ message: 'Tare expiration must be after the certified date' });
+    }
+
+    const truck = await Truck.create({ ...payload, createdBy: req.user.id, updatedBy: req.user.id });
+    res.status(201).json({ message: 'Truck created successfully', truck });
+  } catch (err) {
+    console.error('Error creating truck:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A truck with this truck # and trailer # already exists' });
+    }
+    res.status(500).json({ message: 'Server error while creating truck' });
+  }
+});
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const query = {};
+    if (String(req.query.includeInactive || '').toLowerCase() !== 'true') {
+      query.isActive = { $ne: false };
+    }
+    if (req.query.carrierName) {
+      query.carrierName = String(req.query.carrierName).trim();
+    }
+    if (req.query.truckNumber) {
+      query.truckNumber = normalizeEquipmentNumber(req.query.truckNumber);
+    }
+
+    const trucks = await Truck.find(query).sort({ carrierName: 1, truckNumber: 1, trailerNumber: 1 });
+    res.status(200).json(trucks);
+  } catch (err) {
+    console.error('Error fetching trucks:', err);
+    res.status(500).json({ message: 'Server error while fetching trucks' });
+  }
+});
+
+router.get('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid truck id' });
+  }
+
+  try {
+    const truck = await Truck.findById(req.params.id);
+    if (!truck) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+    res.status(200).json(truck);
+  } catch (err) {
+    console.error('Error fetching truck:', err);
+    res.status(500).json({ message: 'Server error while fetching truck' });
+  }
+});
+
+router.put('/:id', authorizeRoles(['internal', 'admin']), truckValidation, async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid truck id' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payload = buildTruckPayload(req.body);
+    if (payload.tareExpiresAt && payload.tareExpiresAt < payload.tareCertifiedAt) {
+      return res.status(400).json({ message: 'Tare expiration must be after the certified date' });
+    }
+
+    const truck = await Truck.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...payload, updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    if (!truck) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+    res.status(200).json({ message: 'Truck updated successfully', truck });
+  } catch (err) {
+    console.error('Error updating truck:', err);
+    if (err?.code === 11000) {
+      return res.status(400).json({ message: 'A truck with this truck # and trailer # already exists' });
+    }
+    res.status(500).json({ message: 'Server error while updating truck' });
+  }
+});
+
+router.delete('/:id', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid truck id' });
+  }
+
+  try {
+    const truck = await Truck.findByIdAndDelete(req.params.id);
+    if (!truck) {
+      return res.status(404).json({ message: 'Truck not found' });
+    }
+    res.status(200).json({ message: 'Truck deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting truck:', err);
+    res.status(500).json({ message: 'Server error while deleting truck' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const Track = require('../models/Track');
+const Railcar = require('../models/Railcar');
+const {
+  requireAuth,
+  authorizeRoles,
+} = require('../middleware/auth');
+
+const TRACK_TYPES = ['spot', 'storage', 'interchange'];
+
+// Blank positions sort last; "2" comes before "10".
+const compareTrackPositions = (a, b) => {
+  const left = String(a.trackPosition || '').trim();
+  const right = String(b.trackPosition || '').trim();
+  if (!left || !right) return left ? -1 : right ? 1 : 0;
+  return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+router.use(requireAuth);
+
+router.get('/', authorizeRoles(['internal', 'admin']), async (req, res) => {
+  try {
+    const trackQuery = { isActive: { $ne: false } };
+    if (req.query.type) {
+      if (!TRACK_TYPES.includes(String(req.query.type))) {
+        return res.status(400).json({ message: `type must be one of: ${TRACK_TYPES.join(', ')}` });
+      }
+      trackQuery.type = String(req.query.type);
+    }
+    if (req.query.station) {
+      trackQuery.station = String(req.query.station).trim();
+    }
+
+    const tracks = await Track.find(trackQuery).sort({ sortOrder: 1, name: 1 }).lean();
+    const inYardQuery = { isActive: { $ne: false }, currentStatus: { $ne: 'Released' } };
+    const [railcars, unassignedCount] = await Promise.all([
+      Railcar.find({ ...inYardQuery, yardTrack: { $in: tracks.map((track) => track._id) } })
+        .select('railcarID carInitial carNumber customerName currentStatus commodity track trackPosition yardTrack placementRequestedAt')
+        .populate('customerName', 'customerName customerCode')
+        .lean(),
+      Railcar.countDocuments({ ...inYardQuery, yardTrack: null, track: { $nin: [null, ''] } }),
+    ]);
+
+    const carsByTrack = new Map();
+    railcars.forEach((railcar) => {
+      const key = String(railcar.yardTrack);
+      if (!carsByTrack.has(key)) carsByTrack.set(key, []);
+      carsByTrack.get(key).push({
+        _id: railcar._id,
+        railcarID: railcar.railcarID || `${railcar.carInitial || ''} ${railcar.carNumber || ''}`.trim(),
+        customerName: railcar.customerName?.customerName || 'Unknown Customer',
+        customerCode: railcar.customerName?.customerCode || '',
+        currentStatus: railcar.currentStatus || '',
+        commodity: railcar.commodity || '',
+        reportedTrack: railcar.track || '',
+        trackPosition: railcar.trackPosition || '',
+        placementRequestedAt: railcar.placementRequestedAt || null,
+      });
+    });
+
+    const yard = tracks.map((track) => {
+      const cars = (carsByTrack.get(String(track._id)) || []).sort(compareTrackPositions);
+      const capacity = Number(track.capacity || 0);
+      const entry = {
+        _id: track._id,
+        name: track.name,
+        type: track.type,
+        station: track.station || '',
+        capacity,
+        carCount: cars.length,
+        freeCapacity: Math.max(capacity - cars.length, 0),
+        overCapacity: capacity > 0 && cars.length > capacity,
+        cars,
+      };
+      if ((track.spotPositions || []).length > 0) {
+        entry.spots = track.spotPositions.map((position) => {
+          const occupant = cars.find(
+            (car) => String(car.trackPosition).trim().toUpperCase() === String(position).trim().toUpperCase()
+          );
+          return { position, railcar: occupant || null };
+        });
+      }
+      return entry;
+    });
+
+    const totals = yard.reduce(
+      (acc, track) => ({
+        trackCount: acc.trackCount + 1,
+        capacity: acc.capacity + track.capacity,
+        carCount: acc.carCount + track.carCount,
+        freeCapacity: acc.freeCapacity + track.freeCapacity,
+      }),
+      { trackCount: 0, capacity: 0, carCount: 0, freeCapacity: 0 }
+    );
+
+    res.status(200).json({ generatedAt: new Date().toISOString(), tracks: yard, totals, unassignedCount });
+  } catch (err) {
+    console.error('Error fetching yard map:', err);
+    res.status(500).json({ message: 'Server error while fetching yard map' });
+  }
+});
+
+module.exports = router;
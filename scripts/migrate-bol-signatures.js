@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const BOL = require('../models/BOL');
+const Signature = require('../models/Signature');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const shouldApply = args.includes('--apply');
+
+  if (args.includes('--help')) {
+    console.log('Usage: node scripts/migrate-bol-signatures.js [--apply]');
+    console.log('  Moves inline driverSignatureImage data URLs on BOLs into Signature documents.');
+    console.log('  --apply  Write changes (default is a dry run report)');
+    return;
+  }
+
+  if (!process.env.DB_URI) {
+    console.error('DB_URI is not set.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.DB_URI);
+
+  try {
+    const query = {
+      driverSignatureImage: { $exists: true, $type: 'string', $ne: '' },
+    };
+    const pendingCount = await BOL.countDocuments(query);
+    console.log(`${pendingCount} BOL(s) still carry an inline signature image.`);
+
+    if (!shouldApply) {
+      if (pendingCount > 0) console.log('Dry run only. Re-run with --apply to migrate them.');
+      return;
+    }
+
+    let migrated = 0;
+    let failed = 0;
+    const cursor = BOL.find(query)
+      .select('_id driver driverSignature driverSignatureImage signedAt completedBy createdBy')
+      .lean()
+      .cursor();
+
+    for await (const bol of cursor) {
+      try {
+        let signatureId = bol.driverSignature;
+        if (!signatureId) {
+          const signature = await Signature.create({
+            imageData: bol.driverSignatureImage,
+            source: 'migration',
+            driver: bol.driver || null,
+            capturedAt: bol.signedAt || new Date(),
+            capturedBy: bol.completedBy || bol.createdBy || null,
+          });
+          signatureId = signature._id;
+        }
+
+        // Raw collection update so the BOL pre-validate hook does not recompute weights on legacy documents.
+        await BOL.collection.updateOne(
+          { _id: bol._id },
+          { $set: { driverSignature: signatureId }, $unset: { driverSignatureImage: '' } }
+        );
+        migrated += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`Failed to migrate signature for BOL ${bol._id}:`, err.message || err);
+      }
+    }
+
+    console.log(`Migrated ${migrated} BOL signature(s); ${failed} failed.`);
+    if (failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error('Failed to migrate BOL signatures:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { rebuildRailcarLedger } = require('../utils/railcar-ledger');
+
+const readArgValue = (args, name) => {
+  const prefix = `${name}=`;
+  const match = args.find((arg) => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length).trim() : '';
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const shouldApply = args.includes('--apply');
+  const customerId = readArgValue(args, '--customer');
+
+  if (args.includes('--help')) {
+    console.log('Usage: node scripts/rebuild-railcar-ledger.js [--apply] [--customer=<customerId>]');
+    console.log('  --apply                  Rewrite ledger rows from Completed BOLs (default is a dry run report)');
+    console.log('  --customer=<customerId>  Only rebuild rows for one customer');
+    return;
+  }
+
+  if (customerId && !mongoose.isValidObjectId(customerId)) {
+    console.error(`Invalid customer id: ${customerId}`);
+    process.exit(1);
+  }
+
+  if (!process.env.DB_URI) {
+    console.error('DB_URI is not set.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.DB_URI);
+
+  try {
+    const { ledgerRows, drift } = await rebuildRailcarLedger({ customerId: customerId || null, apply: shouldApply });
+
+    drift.forEach((row) => {
+      console.log(
+        `Railcar ${row.railcarID} shipment "${row.railShipmentBolNumber || ''}" (customer ${row.customerName}): `
+        + `stored=${row.storedUnloadedWeight ?? 'missing'} computed=${row.computedUnloadedWeight}`
+      );
+    });
+
+    console.log(`Computed ${ledgerRows} ledger row(s) from Completed BOLs: ${drift.length} differed from the stored ledger.`);
+    if (shouldApply) {
+      console.log('Ledger rebuilt.');
+    } else if (drift.length > 0) {
+      console.log('Dry run only. Re-run with --apply to rewrite the ledger.');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error('Failed to rebuild railcar ledger:', err.message || err);
+  process.exit(1);
+});
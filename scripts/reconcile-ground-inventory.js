@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const GroundInventoryLot = require('../models/GroundInventoryLot');
+const GroundInventoryAllocation = require('../models/GroundInventoryAllocation');
+
+// Weights are stored in lbs; ignore floating point noise below this threshold.
+const WEIGHT_TOLERANCE = 0.001;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const shouldApply = args.includes('--apply');
+  const includeManual = args.includes('--include-manual');
+
+  if (args.includes('--help')) {
+    console.log('Usage: node scripts/reconcile-ground-inventory.js [--apply] [--include-manual]');
+    console.log('  --apply           Repair mismatched lots (default is a dry run report)');
+    console.log('  --include-manual  Also check manual adjustment lots, whose remaining weight may be set by hand');
+    return;
+  }
+
+  if (!process.env.DB_URI) {
+    console.error('DB_URI is not set.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.DB_URI);
+
+  try {
+    const lotQuery = includeManual ? {} : { sourceType: { $ne: 'manual_adjustment' } };
+    const lots = await GroundInventoryLot.find(lotQuery)
+      .select('_id sourceType startingWeight remainingWeight status')
+      .lean();
+
+    const allocationTotals = await GroundInventoryAllocation.aggregate([
+      { $match: { reversedAt: null } },
+      { $group: { _id: '$lotId', totalAllocatedWeight: { $sum: '$allocatedWeight' } } },
+    ]);
+    const allocatedByLot = new Map(
+      allocationTotals.map((entry) => [String(entry._id), Number(entry.totalAllocatedWeight || 0)])
+    );
+
+    let mismatched = 0;
+    let repaired = 0;
+    let unrepairable = 0;
+    let changedDuringRun = 0;
+
+    for (const lot of lots) {
+      const startingWeight = Number(lot.startingWeight || 0);
+      const remainingWeight = Number(lot.remainingWeight || 0);
+      const allocatedWeight = allocatedByLot.get(String(lot._id)) || 0;
+      const consumedWeight = startingWeight - remainingWeight;
+      const difference = consumedWeight - allocatedWeight;
+
+      if (Math.abs(difference) <= WEIGHT_TOLERANCE) continue;
+      mismatched += 1;
+
+      const expectedRemainingWeight = startingWeight - allocatedWeight;
+      console.log(
+        `Lot ${lot._id} (${lot.sourceType}): starting=${startingWeight} remaining=${remainingWeight} `
+        + `allocated=${allocatedWeight} difference=${difference} expectedRemaining=${expectedRemainingWeight}`
+      );
+
+      if (expectedRemainingWeight < 0) {
+        unrepairable += 1;
+        console.warn(`  Skipping lot ${lot._id}: allocations exceed starting weight and need manual review`);
+        continue;
+      }
+
+      if (!shouldApply) continue;
+
+      const nextStatus = lot.status === 'archived'
+        ? 'archived'
+        : expectedRemainingWeight > 0 ? 'available' : 'depleted';
+
+      const result = await GroundInventoryLot.updateOne(
+        { _id: lot._id, remainingWeight: lot.remainingWeight },
+        { $set: { remainingWeight: expectedRemainingWeight, status: nextStatus } }
+      );
+      if (result.modifiedCount === 0) {
+        changedDuringRun += 1;
+        console.warn(`  Skipping lot ${lot._id}: it changed while the script was running; re-run to check it again`);
+        continue;
+      }
+      repaired += 1;
+      console.log(`  Repaired lot ${lot._id}: remainingWeight set to ${expectedRemainingWeight} (${nextStatus})`);
+    }
+
+    console.log(
+      `Checked ${lots.length} lot(s): ${mismatched} mismatched, ${repaired} repaired, `
+      + `${changedDuringRun} changed during the run, ${unrepairable} need manual review.`
+    );
+    if (mismatched > 0 && !shouldApply) {
+      console.log('Dry run only. Re-run with --apply to repair mismatched lots.');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error('Failed to reconcile ground inventory:', err.message || err);
+  process.exit(1);
+});
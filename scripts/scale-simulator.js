@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const net = require('net');
+
+const FRAME_INTERVAL_MS = 250;
+const EMPTY_TRUCK_LBS = 32000;
+const LOADED_TRUCK_LBS = 79500;
+
+// Continuous-output frame: STX, polarity, 7-digit weight, unit, gross mode, status, CR.
+const buildFrame = (weight, motion) => {
+  const polarity = weight < 0 ? '-' : ' ';
+  const digits = String(Math.abs(Math.round(weight))).padStart(7, '0');
+  return `\u0002${polarity}${digits}LG${motion ? 'M' : ' '}\r`;
+};
+
+// Cycles empty deck -> truck driving on -> settled tare -> loading -> settled gross -> driving off.
+const buildProfile = () => {
+  const steps = [];
+  const hold = (weight, seconds, motion = false) => {
+    const frames = Math.round((seconds * 1000) / FRAME_INTERVAL_MS);
+    for (let i = 0; i < frames; i += 1) steps.push({ weight, motion });
+  };
+  const ramp = (from, to, seconds) => {
+    const frames = Math.round((seconds * 1000) / FRAME_INTERVAL_MS);
+    for (let i = 0; i < frames; i += 1) {
+      const jitter = (Math.random() - 0.5) * 400;
+      steps.push({ weight: from + ((to - from) * i) / frames + jitter, motion: true });
+    }
+  };
+
+  hold(0, 5);
+  ramp(0, EMPTY_TRUCK_LBS, 4);
+  hold(EMPTY_TRUCK_LBS, 15);
+  ramp(EMPTY_TRUCK_LBS, LOADED_TRUCK_LBS, 10);
+  hold(LOADED_TRUCK_LBS, 15);
+  ramp(LOADED_TRUCK_LBS, 0, 4);
+  return steps;
+};
+
+const main = () => {
+  const target = process.argv[2] || process.env.SCALE_SIMULATOR_TARGET || '127.0.0.1:9101';
+  const [host, portText] = target.includes(':') ? target.split(':') : ['127.0.0.1', target];
+  const port = Number(portText);
+
+  if (!Number.isInteger(port) || port <= 0) {
+    console.error('Usage: node scripts/scale-simulator.js [host:port]');
+    process.exit(1);
+  }
+
+  const profile = buildProfile();
+  let index = 0;
+  let timer = null;
+
+  const socket = net.connect(port, host, () => {
+    console.log(`Scale simulator streaming to ${host}:${port} (Ctrl+C to stop)`);
+    timer = setInterval(() => {
+      const step = profile[index % profile.length];
+      socket.write(buildFrame(step.weight, step.motion));
+      index += 1;
+    }, FRAME_INTERVAL_MS);
+  });
+
+  socket.on('error', (err) => {
+    console.error('Scale simulator connection error:', err.message || err);
+    process.exitCode = 1;
+  });
+
+  socket.on('close', () => {
+    if (timer) clearInterval(timer);
+  });
+
+  process.on('SIGINT', () => {
+    if (timer) clearInterval(timer);
+    socket.end();
+  });
+};
+
+main();
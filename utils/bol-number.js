@@ -0,0 +1,61 @@
+const BOL = require('../models/BOL');
+const Customer = require('../models/Customer');
+const BolNumberCounter = require('../models/BolNumberCounter');
+
+const DEFAULT_BOL_NUMBER_PREFIX = 'BOL';
+const BOL_NUMBER_SEQ_DIGITS = 6;
+
+const formatBolNumber = ({ prefix, year, seq }) =>
+  `${prefix || DEFAULT_BOL_NUMBER_PREFIX}-${year}-${String(seq).padStart(BOL_NUMBER_SEQ_DIGITS, '0')}`;
+
+const normalizeBolNumber = (value) => String(value || '').trim().toUpperCase();
+
+// Customers without a code get a prefix derived from their id so their numbers stay distinguishable.
+const resolveBolNumberPrefix = (customer, customerId) => {
+  const code = normalizeBolNumber(customer?.customerCode).replace(/[^A-Z0-9]/g, '');
+  if (code) return code;
+  const idSuffix = String(customer?._id || customerId || '').slice(-6).toUpperCase();
+  return idSuffix ? `C${idSuffix}` : DEFAULT_BOL_NUMBER_PREFIX;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A new prefix/year counter starts after the highest number already issued with that prefix.
+const seedBolNumberCounter = async ({ prefix, year, session = null }) => {
+  const existing = await BolNumberCounter.findOne({ prefix, year }).select('_id').session(session);
+  if (existing) return;
+
+  const latest = await BOL.findOne({ bolNumber: new RegExp(`^${escapeRegex(prefix)}-${year}-\\d+$`) })
+    .sort({ bolNumber: -1 })
+    .select('bolNumber')
+    .session(session)
+    .lean();
+  const highestSeq = latest ? Number(String(latest.bolNumber).split('-').pop()) || 0 : 0;
+
+  await BolNumberCounter.updateOne(
+    { prefix, year },
+    { $max: { seq: highestSeq } },
+    { upsert: true, session }
+  );
+};
+
+const nextBolNumber = async ({ customerId, at = new Date(), session = null }) => {
+  const year = new Date(at).getUTCFullYear();
+  const customer = await Customer.findById(customerId).select('customerCode').session(session);
+  const prefix = resolveBolNumberPrefix(customer, customerId);
+
+  await seedBolNumberCounter({ prefix, year, session });
+  const counter = await BolNumberCounter.findOneAndUpdate(
+    { prefix, year },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+
+  return formatBolNumber({ prefix, year, seq: counter.seq });
+};
+
+module.exports = {
+  formatBolNumber,
+  normalizeBolNumber,
+  nextBolNumber,
+};
@@ -36,12 +36,14 @@ const buildBolPrintHtml = ({ bol, order, customer, receiver, project, material }
   const primaryNetWeight = bol?.primaryNetWeight ?? bol?.netWeight;
   const primaryTonWeight = bol?.primaryTonWeight ?? (primaryNetWeight != null ? Number(primaryNetWeight) / 2000 : null);
   const orderNo = order?.orderNumber || 'N/A';
+  const bolNumber = bol?.bolNumber || '';
+  const signatureImage = bol?.driverSignature?.imageData || bol?.driverSignatureImage || '';
 
   return `
     <html>
       <head>
         <meta charset="utf-8" />
-        <title>BOL ${clean(orderNo)}</title>
+        <title>BOL ${clean(bolNumber || orderNo)}</title>
         <style>
           @page { size: auto; margin: 0.35in; }
           * { box-sizing: border-box; }
@@ -71,7 +73,7 @@ const buildBolPrintHtml = ({ bol, order, customer, receiver, project, material }
       <body>
         <div class="header">
           <div class="title-wrap">
-            <h2>BOL ${clean(orderNo)}</h2>
+            <h2>BOL ${clean(bolNumber || orderNo)}</h2>
             <div class="meta">Date: ${clean(formatDateTime(bol?.bolDate))}</div>
             <div class="meta">Status: ${clean(bol?.status || 'Draft')}</div>
           </div>
@@ -95,6 +97,7 @@ const buildBolPrintHtml = ({ bol, order, customer, receiver, project, material }
 
         <div class="meta-grid">
           <table>
+            <tr><th>BOL Number</th><td>${clean(bolNumber || 'Pending')}</td></tr>
             <tr><th>Order Number</th><td>${clean(orderNo)}</td></tr>
             <tr><th>Material</th><td>${clean(material?.materialName || 'N/A')}</td></tr>
           </table>
@@ -143,8 +146,8 @@ const buildBolPrintHtml = ({ bol, order, customer, receiver, project, material }
           <div class="signature-meta"><strong>Driver:</strong> ${clean(bol?.driverName || 'N/A')}</div>
           <div class="signature-meta"><strong>Signed At:</strong> ${clean(formatDateTime(bol?.signedAt))}</div>
           ${
-            bol?.driverSignatureImage
-              ? `<img class="signature-image" src="${clean(bol.driverSignatureImage)}" alt="Driver Signature" />`
+            signatureImage
+              ? `<img class="signature-image" src="${clean(signatureImage)}" alt="Driver Signature" />`
               : '<div class="signature-meta">No signature on file</div>'
           }
         </div>
@@ -292,7 +295,8 @@ const renderPdfFromHtml = async (html) => {
 
 const buildBolPdfAttachment = async ({ bol, order, customer, receiver, project, material, shipper }) => {
   const orderNumber = order?.orderNumber || 'N/A';
-  const sanitizedOrder = String(orderNumber).replace(/[^a-zA-Z0-9_-]/g, '-');
+  const bolNumber = bol?.bolNumber || '';
+  const sanitizedFileKey = String(bolNumber || orderNumber).replace(/[^a-zA-Z0-9_-]/g, '-');
   const html = buildBolPrintHtml({ bol, order, customer, receiver, project, material, shipper });
 
   let pdfBuffer;
@@ -302,8 +306,8 @@ const buildBolPdfAttachment = async ({ bol, order, customer, receiver, project,
     console.error('Falling back to simple BOL PDF generation:', err?.message || err);
     pdfBuffer = buildSimpleFallbackPdf([
       'Tennessee Rail Systems - Completed Bill of Lading',
+      `BOL Number: ${bolNumber || 'N/A'}`,
       `Order Number: ${orderNumber}`,
-      `BOL ID: ${bol?._id || 'N/A'}`,
       `Customer: ${customer?.customerName || 'N/A'}`,
       `Material: ${material?.materialName || 'N/A'}`,
       `Railcar: ${bol?.railcarID || 'N/A'}`,
@@ -317,7 +321,7 @@ const buildBolPdfAttachment = async ({ bol, order, customer, receiver, project,
   }
 
   return {
-    filename: `BOL-${sanitizedOrder || 'N-A'}.pdf`,
+    filename: `BOL-${sanitizedFileKey || 'N-A'}.pdf`,
     content: pdfBuffer,
     contentType: 'application/pdf',
   };
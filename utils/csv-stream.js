@@ -0,0 +1,135 @@
+const { StringDecoder } = require('string_decoder');
+
+// Incremental RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and line
+// breaks; CRLF, LF and CR all end a record. A leading UTF-8 BOM is dropped and, unless a
+// delimiter is given, the first line decides between comma, semicolon and tab.
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+const detectDelimiter = (headerLine = '') => {
+  const counts = new Map(CANDIDATE_DELIMITERS.map((delimiter) => [delimiter, 0]));
+  let inQuotes = false;
+  for (const ch of headerLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+const createCsvParser = ({ delimiter = null } = {}) => {
+  let activeDelimiter = delimiter;
+  let pendingDetection = '';
+  let started = false;
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quoteSeen = false;
+  let skipNextLineFeed = false;
+
+  const endRecord = (records) => {
+    record.push(field);
+    field = '';
+    // Blank lines produce a single empty field and are skipped.
+    if (!(record.length === 1 && record[0] === '')) records.push(record);
+    record = [];
+  };
+
+  const consume = (text, records) => {
+    for (let i = 0; i < text.length; i += 1) {
+      const ch = text[i];
+
+      if (skipNextLineFeed) {
+        skipNextLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === activeDelimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\r') {
+        endRecord(records);
+        skipNextLineFeed = true;
+      } else if (ch === '\n') {
+        endRecord(records);
+      } else {
+        field += ch;
+      }
+    }
+  };
+
+  const push = (chunk = '') => {
+    const records = [];
+    let text = String(chunk);
+    if (!started) {
+      pendingDetection += text;
+      if (!pendingDetection || (!activeDelimiter && !/[\r\n]/.test(pendingDetection))) return records;
+      started = true;
+      text = pendingDetection.replace(/^\uFEFF/, '');
+      pendingDetection = '';
+      if (!activeDelimiter) activeDelimiter = detectDelimiter(text.split(/\r?\n|\r/)[0]);
+    }
+    consume(text, records);
+    return records;
+  };
+
+  const end = () => {
+    const records = [];
+    if (!started) {
+      started = true;
+      const text = pendingDetection.replace(/^\uFEFF/, '');
+      pendingDetection = '';
+      if (!activeDelimiter) activeDelimiter = detectDelimiter(text);
+      consume(text, records);
+    }
+    if (quoteSeen) {
+      quoteSeen = false;
+      inQuotes = false;
+    }
+    if (field !== '' || record.length > 0) endRecord(records);
+    return records;
+  };
+
+  return { push, end };
+};
+
+const parseCsvText = (text = '', options = {}) => {
+  const parser = createCsvParser(options);
+  return [...parser.push(text), ...parser.end()];
+};
+
+async function* parseCsvStream(readable, options = {}) {
+  const parser = createCsvParser(options);
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of readable) {
+    const records = parser.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    for (const record of records) yield record;
+  }
+  const records = [...parser.push(decoder.end()), ...parser.end()];
+  for (const record of records) yield record;
+}
+
+module.exports = {
+  detectDelimiter,
+  createCsvParser,
+  parseCsvText,
+  parseCsvStream,
+};
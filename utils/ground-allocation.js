@@ -0,0 +1,75 @@
+const GroundInventoryLot = require('../models/GroundInventoryLot');
+
+const GROUND_ALLOCATION_STRATEGIES = ['fifo', 'fewest_lots'];
+
+const getDefaultGroundAllocationStrategy = () => {
+  const configured = String(process.env.GROUND_ALLOCATION_STRATEGY || '').trim().toLowerCase();
+  return GROUND_ALLOCATION_STRATEGIES.includes(configured) ? configured : 'fifo';
+};
+
+const resolveGroundAllocationStrategy = (...candidates) =>
+  candidates.find((candidate) => GROUND_ALLOCATION_STRATEGIES.includes(candidate)) || getDefaultGroundAllocationStrategy();
+
+// FIFO drains the oldest piles first. Fewest-lots takes the largest piles until the
+// remainder fits in a single lot, then uses the smallest lot that covers it.
+const pickLotDraws = (lots, weight, strategy) => {
+  const pool = strategy === 'fewest_lots'
+    ? [...lots].sort((a, b) => Number(b.remainingWeight) - Number(a.remainingWeight))
+    : [...lots];
+
+  const draws = [];
+  let outstanding = weight;
+  while (outstanding > 0 && pool.length > 0) {
+    let lot = pool[0];
+    if (strategy === 'fewest_lots') {
+      const covering = pool.filter((candidate) => Number(candidate.remainingWeight) >= outstanding);
+      if (covering.length > 0) {
+        const tightestWeight = Number(covering[covering.length - 1].remainingWeight);
+        lot = covering.find((candidate) => Number(candidate.remainingWeight) === tightestWeight);
+      }
+    }
+    pool.splice(pool.indexOf(lot), 1);
+
+    const drawWeight = Math.min(Number(lot.remainingWeight), outstanding);
+    draws.push({ lotId: lot._id, weight: drawWeight });
+    outstanding -= drawWeight;
+  }
+  return draws;
+};
+
+const planGroundLotDraws = async ({ customerId, materialId, weight, strategy, session = null }) => {
+  const neededWeight = Number(weight || 0);
+  if (!Number.isFinite(neededWeight) || neededWeight < 0) {
+    return { ok: false, message: 'Invalid ground inventory consume weight' };
+  }
+  if (neededWeight === 0) return { ok: true, draws: [] };
+
+  // Sorting by receivedAt here also breaks fewest-lots ties in favour of older piles.
+  const lots = await GroundInventoryLot.find({
+    customerName: customerId,
+    materialName: materialId,
+    status: 'available',
+    remainingWeight: { $gt: 0 },
+  })
+    .select('remainingWeight receivedAt')
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  const availableWeight = lots.reduce((sum, lot) => sum + Number(lot.remainingWeight || 0), 0);
+  if (availableWeight < neededWeight) {
+    return {
+      ok: false,
+      message: `Not enough ground inventory for this customer and material (${availableWeight} lbs available, ${neededWeight} lbs needed)`,
+    };
+  }
+
+  return { ok: true, draws: pickLotDraws(lots, neededWeight, strategy) };
+};
+
+module.exports = {
+  GROUND_ALLOCATION_STRATEGIES,
+  getDefaultGroundAllocationStrategy,
+  resolveGroundAllocationStrategy,
+  planGroundLotDraws,
+};
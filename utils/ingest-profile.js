@@ -0,0 +1,145 @@
+// Helpers for admin-managed railcar ingest profiles (see models/IngestProfile.js).
+
+const INGEST_ROW_FIELDS = [
+  'carInitial',
+  'carNumber',
+  'commodity',
+  'railcarBolNumber',
+  'leStatus',
+  'currentStatus',
+  'station',
+  'trackId',
+  'track',
+  'trackPosition',
+  'customerCode',
+  'reportedWeight',
+  'releaseDate',
+];
+
+const STATUS_RULE_FIELDS = ['currentStatus', 'leStatus', 'station', 'track', 'trackId'];
+const STATUS_RULE_MATCH_TYPES = ['equals', 'contains', 'regex'];
+
+const DATE_TOKEN_PATTERN = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+const DATE_TOKEN_REGEX = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+};
+
+const normalizeHeader = (header = '') => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeRowKeys = (raw = {}) =>
+  Object.entries(raw || {}).reduce((row, [key, value]) => {
+    row[normalizeHeader(key)] = value;
+    return row;
+  }, {});
+
+// Profile mappings win over the built-in aliases; fields the profile leaves unmapped keep the default.
+const applyProfileHeaderMappings = (mappedRow, normalizedRow, profile) => {
+  const result = { ...mappedRow };
+  (profile?.headerMappings || []).forEach((mapping) => {
+    const header = (mapping.headers || [])
+      .map(normalizeHeader)
+      .find((candidate) => String(normalizedRow[candidate] ?? '').trim() !== '');
+    if (header) result[mapping.field] = normalizedRow[header];
+  });
+  return result;
+};
+
+const matchesStatusRule = (rule, row) => {
+  const value = String(row?.[rule.field || 'currentStatus'] ?? '').trim();
+  const pattern = String(rule.pattern || '').trim();
+  if (!pattern) return false;
+
+  if (rule.matchType === 'regex') {
+    try {
+      return new RegExp(pattern, 'i').test(value);
+    } catch (err) {
+      return false;
+    }
+  }
+  if (rule.matchType === 'contains') {
+    return value.toLowerCase().includes(pattern.toLowerCase());
+  }
+  return value.toLowerCase() === pattern.toLowerCase();
+};
+
+const matchStatusRule = (row, profile) => {
+  const rule = (profile?.statusRules || []).find((candidate) => matchesStatusRule(candidate, row));
+  return rule ? rule.status : null;
+};
+
+const buildDateFormatRegex = (format) => {
+  const fields = [];
+  let source = '';
+  let lastIndex = 0;
+  String(format).replace(DATE_TOKEN_PATTERN, (token, offset) => {
+    source += String(format).slice(lastIndex, offset).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    source += DATE_TOKEN_REGEX[token];
+    fields.push(token);
+    lastIndex = offset + token.length;
+    return token;
+  });
+  source += String(format).slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { regex: new RegExp(`^${source}$`), fields };
+};
+
+const isSupportedDateFormat = (format) => {
+  const { fields } = buildDateFormatRegex(format);
+  const hasYear = fields.includes('YYYY') || fields.includes('YY');
+  const hasMonth = fields.includes('MM') || fields.includes('M');
+  const hasDay = fields.includes('DD') || fields.includes('D');
+  return hasYear && hasMonth && hasDay;
+};
+
+const parseDateWithFormats = (value, formats = []) => {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+
+  for (const format of formats) {
+    const { regex, fields } = buildDateFormatRegex(format);
+    const match = raw.match(regex);
+    if (!match) continue;
+
+    const parts = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    fields.forEach((token, index) => {
+      const number = Number(match[index + 1]);
+      if (token === 'YYYY') parts.year = number;
+      if (token === 'YY') parts.year = 2000 + number;
+      if (token === 'MM' || token === 'M') parts.month = number;
+      if (token === 'DD' || token === 'D') parts.day = number;
+      if (token === 'HH' || token === 'H') parts.hour = number;
+      if (token === 'mm') parts.minute = number;
+      if (token === 'ss') parts.second = number;
+    });
+
+    const date = new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const isRealDate = date.getFullYear() === parts.year
+      && date.getMonth() === parts.month - 1
+      && date.getDate() === parts.day
+      && parts.hour < 24
+      && parts.minute < 60
+      && parts.second < 60;
+    if (isRealDate) return date;
+  }
+  return null;
+};
+
+module.exports = {
+  INGEST_ROW_FIELDS,
+  STATUS_RULE_FIELDS,
+  STATUS_RULE_MATCH_TYPES,
+  normalizeHeader,
+  normalizeRowKeys,
+  applyProfileHeaderMappings,
+  matchStatusRule,
+  isSupportedDateFormat,
+  parseDateWithFormats,
+};
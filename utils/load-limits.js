@@ -0,0 +1,61 @@
+const LoadLimit = require('../models/LoadLimit');
+
+const normalizeTruckType = (value) => String(value || '').trim().toLowerCase();
+
+// Site-wide fallback from DEFAULT_MAX_GROSS_WEIGHT_LBS / DEFAULT_MAX_NET_WEIGHT_LBS. With neither
+// set and no LoadLimit document matching, no limit is enforced.
+const getDefaultLoadLimit = () => {
+  const maxGross = Number(process.env.DEFAULT_MAX_GROSS_WEIGHT_LBS);
+  const maxNet = Number(process.env.DEFAULT_MAX_NET_WEIGHT_LBS);
+  const maxGrossWeight = Number.isFinite(maxGross) && maxGross > 0 ? maxGross : null;
+  const maxNetWeight = Number.isFinite(maxNet) && maxNet > 0 ? maxNet : null;
+  return {
+    _id: null,
+    customerName: null,
+    truckType: '',
+    maxGrossWeight,
+    maxNetWeight,
+    source: maxGrossWeight != null || maxNetWeight != null ? 'default' : 'none',
+  };
+};
+
+const loadActiveLoadLimits = () => LoadLimit.find({ isActive: { $ne: false } }).lean();
+
+// Picks customer+truck type, then customer, then truck type, then the site-wide limit.
+const selectLoadLimit = (limits = [], { customerId, truckType }) => {
+  const customerKey = String(customerId || '');
+  const truckTypeKey = normalizeTruckType(truckType);
+  const matches = (limit, wantCustomer, wantTruckType) => {
+    const limitCustomer = String(limit.customerName || '');
+    const limitTruckType = normalizeTruckType(limit.truckType);
+    return (wantCustomer ? limitCustomer === customerKey : !limitCustomer)
+      && (wantTruckType ? limitTruckType === truckTypeKey : !limitTruckType);
+  };
+
+  const candidates = [
+    customerKey && truckTypeKey ? limits.find((limit) => matches(limit, true, true)) : null,
+    customerKey ? limits.find((limit) => matches(limit, true, false)) : null,
+    truckTypeKey ? limits.find((limit) => matches(limit, false, true)) : null,
+    limits.find((limit) => matches(limit, false, false)),
+  ];
+  const selected = candidates.find(Boolean);
+  return selected ? { ...selected, source: 'configured' } : getDefaultLoadLimit();
+};
+
+const evaluateLoadLimit = (limit, { grossWeight, netWeight }) => {
+  const violations = [];
+  if (limit?.maxGrossWeight != null && Number(grossWeight) > Number(limit.maxGrossWeight)) {
+    violations.push(`Gross weight ${grossWeight} exceeds the legal maximum of ${limit.maxGrossWeight} lbs`);
+  }
+  if (limit?.maxNetWeight != null && Number(netWeight) > Number(limit.maxNetWeight)) {
+    violations.push(`Net weight ${netWeight} exceeds the maximum of ${limit.maxNetWeight} lbs`);
+  }
+  return { isOverweight: violations.length > 0, violations };
+};
+
+module.exports = {
+  evaluateLoadLimit,
+  loadActiveLoadLimits,
+  normalizeTruckType,
+  selectLoadLimit,
+};
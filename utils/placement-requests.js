@@ -0,0 +1,61 @@
+const PlacementRequest = require('../models/PlacementRequest');
+const Railcar = require('../models/Railcar');
+
+const OPEN_PLACEMENT_STATUSES = ['requested', 'acknowledged', 'scheduled'];
+
+// Allowed moves between placement request statuses; fulfilled and cancelled are final.
+const PLACEMENT_TRANSITIONS = {
+  requested: ['acknowledged', 'scheduled', 'fulfilled', 'cancelled'],
+  acknowledged: ['scheduled', 'fulfilled', 'cancelled'],
+  scheduled: ['scheduled', 'fulfilled', 'cancelled'],
+  fulfilled: [],
+  cancelled: [],
+};
+
+const PLACEMENT_REQUEST_STATUSES = Object.keys(PLACEMENT_TRANSITIONS);
+
+const canTransitionPlacement = (fromStatus, toStatus) =>
+  (PLACEMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+const findOpenPlacementRequest = (railcarId, { session } = {}) =>
+  PlacementRequest.findOne({ railcar: railcarId, status: { $in: OPEN_PLACEMENT_STATUSES } })
+    .sort({ requestedAt: 1 })
+    .session(session || null);
+
+// Closes open requests for cars the feed has just reported on a spot track.
+const fulfillPlacementRequestsForRailcars = async (railcars = [], { source = 'ingest', actorId = null, session } = {}) => {
+  const fulfilledAt = new Date();
+  const operations = railcars
+    .filter((railcar) => railcar?._id)
+    .map((railcar) => ({
+      updateMany: {
+        filter: { railcar: railcar._id, status: { $in: OPEN_PLACEMENT_STATUSES } },
+        update: {
+          $set: {
+            status: 'fulfilled',
+            fulfilledAt,
+            fulfilledBy: actorId,
+            fulfilledTrack: railcar.track || '',
+            fulfillmentSource: source,
+          },
+        },
+      },
+    }));
+  if (operations.length === 0) return 0;
+
+  const result = await PlacementRequest.bulkWrite(operations, { ordered: false, session });
+  await Railcar.updateMany(
+    { _id: { $in: railcars.filter((railcar) => railcar?._id).map((railcar) => railcar._id) } },
+    { $unset: { placementRequestedAt: 1 } },
+    { session }
+  );
+  return result.modifiedCount || 0;
+};
+
+module.exports = {
+  PLACEMENT_REQUEST_STATUSES,
+  OPEN_PLACEMENT_STATUSES,
+  canTransitionPlacement,
+  findOpenPlacementRequest,
+  fulfillPlacementRequestsForRailcars,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const IngestProfile = require('../models/IngestProfile');
+const { streamCsvRows, processRailcarIngest } = require('./railcar-ingest');
+
+const DEFAULT_POLL_INTERVAL_MS = 60000;
+const INGESTIBLE_EXTENSIONS = new Set(['.csv', '.txt']);
+// SFTP clients commonly upload under a temporary name and rename when the transfer completes.
+const PARTIAL_UPLOAD_PATTERN = /\.(part|filepart|partial|tmp|crdownload)$/i;
+
+let pollTimer = null;
+let isPolling = false;
+let activeConfig = null;
+const pendingFiles = new Map();
+
+const getDropFolderConfig = () => {
+  const directory = path.resolve(process.env.RAILCAR_DROP_FOLDER || '');
+  const interval = Number(process.env.RAILCAR_DROP_FOLDER_POLL_MS);
+  return {
+    directory,
+    processedDirectory: path.resolve(process.env.RAILCAR_DROP_FOLDER_PROCESSED || path.join(directory, 'processed')),
+    failedDirectory: path.resolve(process.env.RAILCAR_DROP_FOLDER_FAILED || path.join(directory, 'failed')),
+    pollIntervalMs: Number.isFinite(interval) && interval >= 1000 ? interval : DEFAULT_POLL_INTERVAL_MS,
+    profileName: String(process.env.RAILCAR_DROP_FOLDER_PROFILE || '').trim().toLowerCase(),
+  };
+};
+
+const timestampPrefix = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+const moveFile = async (filePath, targetDirectory) => {
+  const target = path.join(targetDirectory, `${timestampPrefix()}-${path.basename(filePath)}`);
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.unlink(filePath);
+  }
+  return target;
+};
+
+const failFile = async (filePath, config, message) => {
+  const target = await moveFile(filePath, config.failedDirectory);
+  await fs.promises.writeFile(`${target}.error.txt`, `${message}\n`);
+  console.error(`Railcar drop folder: ${path.basename(filePath)} failed: ${message}`);
+};
+
+// A file is only picked up once its size and modified time are unchanged across two polls.
+const listReadyFiles = async (config) => {
+  const entries = await fs.promises.readdir(config.directory, { withFileTypes: true });
+  const ready = [];
+  const present = new Set();
+
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.')) continue;
+    if (PARTIAL_UPLOAD_PATTERN.test(entry.name)) continue;
+    if (!INGESTIBLE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) continue;
+
+    const filePath = path.join(config.directory, entry.name);
+    present.add(filePath);
+    const stat = await fs.promises.stat(filePath);
+    const signature = `${stat.size}:${stat.mtimeMs}`;
+    if (pendingFiles.get(filePath) === signature && stat.size > 0) {
+      ready.push(filePath);
+      pendingFiles.delete(filePath);
+    } else {
+      pendingFiles.set(filePath, signature);
+    }
+  }
+
+  [...pendingFiles.keys()].forEach((filePath) => {
+    if (!present.has(filePath)) pendingFiles.delete(filePath);
+  });
+  return ready.sort();
+};
+
+const ingestDropFile = async (filePath, config) => {
+  const fileName = path.basename(filePath);
+  let profile = null;
+  if (config.profileName) {
+    profile = await IngestProfile.findOne({ name: config.profileName, isActive: { $ne: false } }).lean();
+    if (!profile) {
+      await failFile(filePath, config, `Ingest profile "${config.profileName}" was not found or is inactive`);
+      return;
+    }
+  }
+
+  let result;
+  try {
+    result = await processRailcarIngest(streamCsvRows(fs.createReadStream(filePath), profile), {
+      source: 'ingest_drop_folder',
+      profile,
+      fileName,
+    });
+  } catch (err) {
+    const batchNote = err.ingestBatchId ? ` (partial ingest batch ${err.ingestBatchId})` : '';
+    await failFile(filePath, config, `${err.message || err}${batchNote}`);
+    return;
+  }
+
+  if (result.received === 0) {
+    await failFile(filePath, config, 'File contained no railcar rows');
+    return;
+  }
+
+  await moveFile(filePath, config.processedDirectory);
+  console.log(
+    `Railcar drop folder: ${fileName} ingested as batch ${result.batchId} `
+    + `(${result.upserted} upserted, ${result.deactivated} deactivated, ${result.rejected} rejected, `
+    + `${result.blockedDeactivations.length} customer deactivation(s) held for confirmation)`
+  );
+};
+
+const pollDropFolder = async (config = activeConfig) => {
+  if (!config || isPolling) return;
+  // Skip the cycle until Mongo is connected; files stay put and are picked up on a later poll.
+  if (mongoose.connection.readyState !== 1) return;
+
+  isPolling = true;
+  try {
+    const files = await listReadyFiles(config);
+    for (const filePath of files) {
+      try {
+        await ingestDropFile(filePath, config);
+      } catch (err) {
+        console.error(`Railcar drop folder: could not process ${path.basename(filePath)}:`, err.message || err);
+      }
+    }
+  } catch (err) {
+    console.error('Railcar drop folder poll failed:', err.message || err);
+  } finally {
+    isPolling = false;
+  }
+};
+
+const startRailcarDropFolderWatcher = (config = getDropFolderConfig()) => {
+  if (pollTimer) return;
+
+  [config.directory, config.processedDirectory, config.failedDirectory].forEach((directory) => {
+    fs.mkdirSync(directory, { recursive: true });
+  });
+
+  activeConfig = config;
+  pollTimer = setInterval(() => pollDropFolder(config), config.pollIntervalMs);
+  console.log(`Railcar drop folder watching ${config.directory} every ${config.pollIntervalMs}ms`);
+};
+
+const stopRailcarDropFolderWatcher = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  activeConfig = null;
+  pendingFiles.clear();
+};
+
+module.exports = {
+  getDropFolderConfig,
+  startRailcarDropFolderWatcher,
+  stopRailcarDropFolderWatcher,
+  pollDropFolder,
+};
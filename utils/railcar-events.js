@@ -0,0 +1,63 @@
+const { Types } = require('mongoose');
+const RailcarEvent = require('../models/RailcarEvent');
+
+const INGEST_TRACKED_FIELDS = [
+  'currentStatus',
+  'leStatus',
+  'station',
+  'track',
+  'trackPosition',
+  'yardTrack',
+  'commodity',
+  'railcarBolNumber',
+  'reportedWeight',
+  'isActive',
+];
+
+const normalizeEventValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Types.ObjectId) return String(value);
+  if (value?._id instanceof Types.ObjectId) return String(value._id);
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const diffRailcarFields = (before = {}, after = {}, fields = INGEST_TRACKED_FIELDS) =>
+  fields.reduce((changes, field) => {
+    if (!Object.prototype.hasOwnProperty.call(after, field)) return changes;
+    const from = normalizeEventValue(before?.[field]);
+    const to = normalizeEventValue(after[field]);
+    if (from !== to) changes.push({ field, from, to });
+    return changes;
+  }, []);
+
+const buildRailcarEvent = (railcar, {
+  eventType,
+  source,
+  changes = [],
+  actor = null,
+  occurredAt = new Date(),
+  notes = '',
+}) => ({
+  railcar: railcar._id,
+  customerName: railcar.customerName?._id || railcar.customerName,
+  railcarID: railcar.railcarID || '',
+  eventType,
+  source,
+  changes,
+  actor: actor || null,
+  occurredAt,
+  notes,
+});
+
+const recordRailcarEvents = async (events = [], { session } = {}) => {
+  if (events.length === 0) return [];
+  return RailcarEvent.insertMany(events, { ordered: true, session });
+};
+
+module.exports = {
+  INGEST_TRACKED_FIELDS,
+  diffRailcarFields,
+  buildRailcarEvent,
+  recordRailcarEvents,
+};
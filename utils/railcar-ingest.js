@@ -0,0 +1,656 @@
+const Railcar = require('../models/Railcar');
+const Customer = require('../models/Customer');
+const IngestBatch = require('../models/IngestBatch');
+const IngestBatchEntry = require('../models/IngestBatchEntry');
+const {
+  INGEST_TRACKED_FIELDS,
+  diffRailcarFields,
+  buildRailcarEvent,
+  recordRailcarEvents,
+} = require('./railcar-events');
+const { syncLedgerReportedWeights } = require('./railcar-ledger');
+const { fulfillPlacementRequestsForRailcars } = require('./placement-requests');
+const {
+  normalizeHeader,
+  normalizeRowKeys,
+  applyProfileHeaderMappings,
+  matchStatusRule,
+  parseDateWithFormats,
+} = require('./ingest-profile');
+const { parseCsvText, parseCsvStream } = require('./csv-stream');
+const { normalizeTrackToken, loadTrackResolver } = require('./yard-tracks');
+
+// Railcar location ingest pipeline shared by the ingest routes and the drop-folder watcher.
+
+const toNumberOrNull = (value) => {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+  const parsed = Number(raw.replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const ON_SPOT_TRACKS = ['Y-TRACK A', 'Y-TRACK B', 'Y-TRACK C', 'Y-TRACK D'];
+
+const isOnSpotTrack = (track = '', onSpotTracks = null) => {
+  const normalized = normalizeTrackToken(track);
+  if (!normalized) return false;
+
+  if (Array.isArray(onSpotTracks) && onSpotTracks.length > 0) {
+    return onSpotTracks
+      .map(normalizeTrackToken)
+      .filter(Boolean)
+      .some((token) => normalized === token || normalized.includes(token));
+  }
+
+  const canonicalMatch = ON_SPOT_TRACKS.some((name) => normalizeTrackToken(name) === normalized);
+  if (canonicalMatch) return true;
+
+  // Tolerate extract variants like "Y Track A", "Y-TRACK A (TL)", etc.
+  return (
+    normalized.includes('YTRACKA') ||
+    normalized.includes('YTRACKB') ||
+    normalized.includes('YTRACKC') ||
+    normalized.includes('YTRACKD') ||
+    normalized.includes('YARDTRANSLOADA') ||
+    normalized.includes('YARDTRANSLOADB') ||
+    normalized.includes('YARDTRANSLOADC') ||
+    normalized.includes('YARDTRANSLOADD')
+  );
+};
+
+const normalizeStatus = (rawStatus = '', hasReleaseDate = false, track = '', trackId = '', onSpotTracks = null) => {
+  if (hasReleaseDate) return 'Released';
+
+  const value = String(rawStatus || '').toLowerCase().trim();
+  if (value.includes('release')) return 'Released';
+  if (value === 'on-spot' || value === 'on spot') return 'On-Spot';
+  if (isOnSpotTrack(trackId || track, onSpotTracks)) return 'On-Spot';
+
+  const availableLike =
+    value.includes('avail') ||
+    value === 'y' ||
+    value.includes('storage') ||
+    value.includes('loaded') ||
+    value === 'l' ||
+    value === 'l ';
+
+  if (availableLike) {
+    return isOnSpotTrack(track, onSpotTracks) ? 'On-Spot' : 'Available';
+  }
+  return 'Inbound';
+};
+
+const toRowObject = (raw, profile = null) => {
+  const row = raw || {};
+  const mapped = {
+    carInitial: row.carInitial || row['Car Initial'] || row.carinitial || row.equipmentinitial,
+    carNumber: row.carNumber || row['Car Number'] || row.carnumber || row.equipmentnumber,
+    commodity: row.commodity || row.Commodity || row.stccdescription,
+    railcarBolNumber:
+      row.railcarBolNumber ||
+      row['Railcar BOL Number'] ||
+      row['BOL Number'] ||
+      row.bolnumber ||
+      row.bol ||
+      row.billofladingnumber ||
+      row.billoflading,
+    leStatus: row.leStatus || row['LE Status'] || row.lestatus,
+    currentStatus:
+      row.currentStatus ||
+      row['Current Status'] ||
+      row.status ||
+      row.Status ||
+      row.storagestatus ||
+      row.storageind,
+    station: row.station || row.Station || row.stationname || row.stationid,
+    trackId:
+      row.trackId ||
+      row['Track ID'] ||
+      row.trackid,
+    track: row.track || row.Track || row.trackid || row.trackname,
+    trackPosition:
+      row.trackPosition ||
+      row.trackTrainPosition ||
+      row['Track Train Position'] ||
+      row.tracktrainposition ||
+      row.track_train_position ||
+      row.trackposition ||
+      row.trainposition,
+    customerCode:
+      row.customerCode ||
+      row['Customer Code'] ||
+      row.customercode ||
+      row.thecustomercustomerid ||
+      row.blocktocustomerid,
+    reportedWeight: row.reportedWeight || row.Weight || row.weight,
+    releaseDate: row.releaseDate || row['Release Date'] || row.releasedate,
+  };
+  return profile ? applyProfileHeaderMappings(mapped, normalizeRowKeys(row), profile) : mapped;
+};
+
+const toHeaderRow = (headers, values) => {
+  const row = {};
+  headers.forEach((header, idx) => {
+    row[header] = String(values[idx] ?? '').trim();
+  });
+  return row;
+};
+
+const mapNormalizedCsvRow = (row, profile = null) => {
+  const mapped = toRowObject({
+    carInitial: row.carinitial || row.equipmentinitial,
+    carNumber: row.carnumber || row.equipmentnumber,
+    commodity: row.commodity || row.stccdescription,
+    railcarBolNumber:
+      row.railcarbolnumber ||
+      row.bolnumber ||
+      row.bol ||
+      row.billofladingnumber ||
+      row.billoflading,
+    leStatus: row.lestatus,
+    currentStatus: row.currentstatus || row.status || row.storagestatus || row.storageind,
+    station: row.station || row.stationname || row.stationid,
+    trackId: row.trackid,
+    track: row.track || row.trackid || row.trackname,
+    trackPosition:
+      row.tracktrainposition ||
+      row.tracktrainpos ||
+      row.trackposition ||
+      row.trainposition,
+    customerCode: row.customercode || row.thecustomercustomerid || row.blocktocustomerid,
+    reportedWeight: row.weight,
+    releaseDate: row.releasedate,
+  });
+  return profile ? applyProfileHeaderMappings(mapped, row, profile) : mapped;
+};
+
+const parseCsvRows = (csvText = '', profile = null) => {
+  const [headerRecord, ...records] = parseCsvText(csvText);
+  if (!headerRecord) return [];
+
+  const headers = headerRecord.map(normalizeHeader);
+  return records.map((values) => mapNormalizedCsvRow(toHeaderRow(headers, values), profile));
+};
+
+async function* streamCsvRows(readable, profile = null) {
+  let headers = null;
+  for await (const values of parseCsvStream(readable)) {
+    if (!headers) {
+      headers = values.map(normalizeHeader);
+      continue;
+    }
+    yield mapNormalizedCsvRow(toHeaderRow(headers, values), profile);
+  }
+}
+
+const DEFAULT_MAX_DEACTIVATION_PERCENT = 25;
+const DEFAULT_INGEST_CHUNK_SIZE = 500;
+const INGEST_SNAPSHOT_FIELDS = [...INGEST_TRACKED_FIELDS, 'status'];
+const INGEST_BATCH_SOURCES = {
+  ingest_feed: 'api_key',
+  ingest_manual: 'manual',
+  ingest_drop_folder: 'drop_folder',
+};
+
+const pickRailcarSnapshot = (railcar, fields = INGEST_SNAPSHOT_FIELDS) =>
+  fields.reduce((snapshot, field) => {
+    if (railcar?.[field] !== undefined) snapshot[field] = railcar[field];
+    return snapshot;
+  }, {});
+
+const getMaxDeactivationPercent = () => {
+  const configured = Number(process.env.RAILCAR_INGEST_MAX_DEACTIVATION_PERCENT);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_MAX_DEACTIVATION_PERCENT;
+};
+
+const getIngestChunkSize = () => {
+  const configured = Number.parseInt(process.env.RAILCAR_INGEST_CHUNK_SIZE, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_INGEST_CHUNK_SIZE;
+};
+
+async function* chunkRows(rows, size) {
+  let chunk = [];
+  for await (const row of rows) {
+    chunk.push(row);
+    if (chunk.length >= size) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) yield chunk;
+}
+
+const createIngestContext = async (profile = null, fileName = '') => {
+  const [customers, trackResolver] = await Promise.all([
+    Customer.find({}, '_id customerCode').lean(),
+    loadTrackResolver(),
+  ]);
+  return {
+    profile,
+    fileName,
+    trackResolver,
+    customerCodeMap: new Map(
+      customers.map((c) => [String(c.customerCode || '').trim().toUpperCase(), String(c._id)])
+    ),
+    customerCodeById: new Map(
+      customers.map((c) => [String(c._id), String(c.customerCode || '').trim().toUpperCase()])
+    ),
+    received: 0,
+    upserted: 0,
+    eventsRecorded: 0,
+    placementsFulfilled: 0,
+    errors: [],
+    warnings: [],
+    batchId: null,
+    rejectedRowsRecorded: 0,
+    plannedStateByKey: new Map(),
+    railcarIdsByKey: new Map(),
+    seenByCustomer: new Map(),
+  };
+};
+
+const recordBatchChanges = async (context, changes) => {
+  if (!context.batchId || changes.length === 0) return;
+  await IngestBatchEntry.insertMany(
+    changes.map((change) => ({ ...change, batch: context.batchId, kind: 'change' }))
+  );
+};
+
+// Rejected rows stay in context.errors for the response; only the ones not yet stored are written.
+const recordBatchRejectedRows = async (context) => {
+  const pending = context.errors.slice(context.rejectedRowsRecorded);
+  if (!context.batchId || pending.length === 0) return;
+  await IngestBatchEntry.insertMany(
+    pending.map(({ row, message }) => ({ batch: context.batchId, kind: 'rejected_row', row, message }))
+  );
+  context.rejectedRowsRecorded += pending.length;
+};
+
+// Resolves one chunk of rows against the current railcar state without writing anything.
+const planRailcarChunk = async (rows, context) => {
+  const { profile, customerCodeMap, errors, warnings, plannedStateByKey, seenByCustomer } = context;
+  const normalizedRows = [];
+
+  for (const row of rows) {
+    context.received += 1;
+    const carInitial = String(row.carInitial || '').trim().toUpperCase();
+    const carNumber = String(row.carNumber || '').trim();
+    const customerCode = String(row.customerCode || '').trim().toUpperCase();
+
+    if (!carInitial || !carNumber || !customerCode) {
+      errors.push({
+        row,
+        message: 'Missing required fields (Car Initial, Car Number, Customer Code)',
+      });
+      continue;
+    }
+
+    const customerId = customerCodeMap.get(customerCode);
+    if (!customerId) {
+      errors.push({ row, message: `Customer Code "${customerCode}" was not found` });
+      continue;
+    }
+
+    let hasReleaseDate = Boolean(String(row.releaseDate || '').trim());
+    if (hasReleaseDate && profile?.dateFormats?.length > 0
+      && !parseDateWithFormats(row.releaseDate, profile.dateFormats)) {
+      hasReleaseDate = false;
+      warnings.push({
+        railcarID: `${carInitial} ${carNumber}`,
+        message: `Release Date "${row.releaseDate}" does not match profile date formats and was ignored`,
+      });
+    }
+    // Profile on-spot tracks win; otherwise the yard track map's spot tracks, when one is set up.
+    const onSpotTracks = profile?.onSpotTracks?.length > 0
+      ? profile.onSpotTracks
+      : context.trackResolver.spotTrackLabels;
+    const normalizedStatus = (!hasReleaseDate && matchStatusRule(row, profile)) || normalizeStatus(
+      row.currentStatus,
+      hasReleaseDate,
+      row.track,
+      row.trackId,
+      onSpotTracks
+    );
+    const track = String(row.trackId || row.track || '').trim();
+    const update = {
+      customerName: customerId,
+      carInitial,
+      carNumber,
+      railcarID: `${carInitial} ${carNumber}`,
+      commodity: String(row.commodity || '').trim(),
+      leStatus: String(row.leStatus || '').trim(),
+      currentStatus: normalizedStatus,
+      status: normalizedStatus,
+      station: String(row.station || '').trim(),
+      track,
+      trackPosition: String(row.trackPosition || '').trim(),
+      yardTrack: context.trackResolver.resolve(track)?._id || null,
+      reportedWeight: toNumberOrNull(row.reportedWeight),
+      isActive: true,
+    };
+
+    const parsedRailcarBolNumber = String(row.railcarBolNumber || '').trim();
+    if (parsedRailcarBolNumber) {
+      update.railcarBolNumber = parsedRailcarBolNumber;
+    }
+
+    normalizedRows.push({
+      key: `${customerId}|${carInitial}|${carNumber}`,
+      filter: { customerName: customerId, carInitial, carNumber },
+      update,
+      customerCode,
+    });
+  }
+
+  const lookupFilters = normalizedRows
+    .filter(({ key }) => !plannedStateByKey.has(key))
+    .map(({ filter }) => filter);
+  const storedRailcars = lookupFilters.length === 0
+    ? []
+    : await Railcar.find({ $or: lookupFilters })
+      .select(`${INGEST_SNAPSHOT_FIELDS.join(' ')} customerName carInitial carNumber`)
+      .lean();
+  const storedByKey = new Map(
+    storedRailcars.map((railcar) => [
+      `${railcar.customerName}|${railcar.carInitial}|${railcar.carNumber}`,
+      railcar,
+    ])
+  );
+
+  return normalizedRows.map(({ key, filter, update, customerCode }) => {
+    // A car repeated within one extract is diffed against its earlier row, not the stored copy.
+    const existing = plannedStateByKey.has(key) ? plannedStateByKey.get(key) : storedByKey.get(key) || null;
+    plannedStateByKey.set(key, { ...(existing || {}), ...update });
+
+    if (!seenByCustomer.has(filter.customerName)) {
+      seenByCustomer.set(filter.customerName, new Set());
+    }
+    seenByCustomer.get(filter.customerName).add(`${filter.carInitial}|${filter.carNumber}`);
+
+    return {
+      key,
+      filter,
+      update,
+      existing,
+      customerCode,
+      changes: diffRailcarFields(existing || {}, update),
+    };
+  });
+};
+
+const applyRailcarChunk = async (planned, context, { source, actorId }) => {
+  if (planned.length === 0) return;
+
+  const operations = planned.map(({ filter, update, existing }) => {
+    const updateDoc = { $set: update };
+    if (
+      !existing
+      || existing.currentStatus !== update.currentStatus
+      || String(existing.track || '') !== update.track
+    ) {
+      updateDoc.$push = {
+        statusHistory: {
+          status: update.currentStatus,
+          track: update.track,
+          changedAt: new Date(),
+          source: 'ingest',
+        },
+      };
+    }
+    return { updateOne: { filter, update: updateDoc, upsert: true } };
+  });
+
+  const result = await Railcar.bulkWrite(operations, { ordered: true });
+  Object.entries(result.upsertedIds || {}).forEach(([index, id]) => {
+    context.railcarIdsByKey.set(planned[Number(index)].key, id);
+  });
+  context.upserted += planned.length;
+
+  const events = [];
+  const batchChanges = [];
+  planned.forEach(({ key, update, existing, changes }) => {
+    if (existing && changes.length === 0) return;
+
+    const railcar = {
+      _id: existing?._id || context.railcarIdsByKey.get(key),
+      customerName: update.customerName,
+      railcarID: update.railcarID,
+    };
+    events.push(buildRailcarEvent(railcar, {
+      eventType: existing ? 'updated' : 'created',
+      source,
+      changes,
+      actor: actorId,
+    }));
+    batchChanges.push({
+      railcar: railcar._id,
+      railcarID: railcar.railcarID,
+      customerName: railcar.customerName,
+      action: existing ? 'updated' : 'created',
+      before: existing ? pickRailcarSnapshot(existing) : null,
+      after: pickRailcarSnapshot({ ...(existing || {}), ...update }),
+    });
+  });
+
+  // Stored straight after the railcar write so rollback can see this chunk even if a later step fails.
+  await recordBatchChanges(context, batchChanges);
+  await recordRailcarEvents(events);
+  context.eventsRecorded += events.length;
+
+  const ledgerRailcars = planned
+    .filter(({ existing, changes }) => !existing
+      || changes.some(({ field }) => field === 'reportedWeight' || field === 'railcarBolNumber'))
+    .map(({ existing, update }) => ({ ...(existing || {}), ...update }));
+  await syncLedgerReportedWeights(ledgerRailcars);
+
+  const spottedRailcars = planned
+    .filter(({ existing, update }) => existing && update.currentStatus === 'On-Spot' && existing.currentStatus !== 'On-Spot')
+    .map(({ existing, update }) => ({ _id: existing._id, track: update.track }));
+  context.placementsFulfilled += await fulfillPlacementRequestsForRailcars(spottedRailcars, { source: 'ingest' });
+};
+
+const planRailcarDeactivations = async (context) => {
+  const maxPercent = getMaxDeactivationPercent();
+  const deactivations = [];
+  for (const [customerId, seenSet] of context.seenByCustomer.entries()) {
+    const activeRailcars = await Railcar.find({
+      customerName: customerId,
+      isActive: { $ne: false },
+    }).select('_id customerName railcarID carInitial carNumber currentStatus');
+
+    const toDeactivate = activeRailcars
+      .filter((railcar) => !seenSet.has(`${railcar.carInitial}|${railcar.carNumber}`));
+    if (toDeactivate.length === 0) continue;
+
+    const percent = Math.round((toDeactivate.length / activeRailcars.length) * 1000) / 10;
+    deactivations.push({
+      customerId,
+      customerCode: context.customerCodeById.get(customerId) || '',
+      activeCount: activeRailcars.length,
+      percent,
+      exceedsThreshold: percent > maxPercent,
+      railcars: toDeactivate,
+    });
+  }
+
+  return { deactivations, maxPercent };
+};
+
+const describePlannedRailcar = ({ update, existing, customerCode, changes }) => {
+  const statusChange = changes.find((change) => change.field === 'currentStatus');
+  return {
+    railcarID: update.railcarID,
+    customerCode,
+    action: !existing ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+    changes,
+    statusTransition: statusChange ? { from: statusChange.from, to: statusChange.to } : null,
+  };
+};
+
+const describeDeactivation = (deactivation, maxPercent) => ({
+  customerId: deactivation.customerId,
+  customerCode: deactivation.customerCode,
+  activeCount: deactivation.activeCount,
+  toDeactivateCount: deactivation.railcars.length,
+  percent: deactivation.percent,
+  thresholdPercent: maxPercent,
+  railcars: deactivation.railcars.map((railcar) => ({
+    railcarID: railcar.railcarID,
+    currentStatus: railcar.currentStatus,
+  })),
+});
+
+const buildIngestBatchCounts = (context, deactivated = 0) => ({
+  receivedCount: context.received,
+  upsertedCount: context.upserted,
+  deactivatedCount: deactivated,
+  rejectedCount: context.errors.length,
+});
+
+// Accepts an array or an async iterable of rows and works through them in bounded chunks.
+const processRailcarIngest = async (
+  inputRows,
+  {
+    actorId = null,
+    source = 'ingest_feed',
+    dryRun = false,
+    confirmDeactivation = false,
+    profile = null,
+    fileName = '',
+  } = {}
+) => {
+  const context = await createIngestContext(profile, fileName);
+  const previewRailcars = [];
+  let deactivated = 0;
+
+  // The header goes in before any railcar is touched, so every write below belongs to a batch.
+  if (!dryRun) {
+    const batch = await IngestBatch.create({
+      source: INGEST_BATCH_SOURCES[source] || 'api_key',
+      submittedBy: actorId || null,
+      profileName: profile?.name || '',
+      fileName,
+    });
+    context.batchId = batch._id;
+  }
+
+  try {
+    for await (const chunk of chunkRows(inputRows, getIngestChunkSize())) {
+      const planned = await planRailcarChunk(chunk, context);
+      if (dryRun) {
+        previewRailcars.push(...planned.map(describePlannedRailcar));
+      } else {
+        await applyRailcarChunk(planned, context, { source, actorId });
+        await recordBatchRejectedRows(context);
+      }
+    }
+
+    if (context.received === 0) {
+      if (context.batchId) await IngestBatch.deleteOne({ _id: context.batchId });
+      return { message: 'No railcar rows were provided', received: 0 };
+    }
+
+    const { errors, warnings } = context;
+    const { deactivations, maxPercent } = await planRailcarDeactivations(context);
+    const blockedDeactivations = deactivations
+      .filter((deactivation) => deactivation.exceedsThreshold && !confirmDeactivation)
+      .map((deactivation) => describeDeactivation(deactivation, maxPercent));
+
+    if (dryRun) {
+      return {
+        message: 'Railcar import dry run (no changes written)',
+        dryRun: true,
+        profile: profile?.name || null,
+        received: context.received,
+        toCreate: previewRailcars.filter((railcar) => railcar.action === 'create').length,
+        toUpdate: previewRailcars.filter((railcar) => railcar.action === 'update').length,
+        unchanged: previewRailcars.filter((railcar) => railcar.action === 'unchanged').length,
+        toDeactivate: deactivations.reduce((acc, deactivation) => acc + deactivation.railcars.length, 0),
+        rejected: errors.length,
+        errors,
+        warnings,
+        railcars: previewRailcars,
+        deactivations: deactivations.map((deactivation) => describeDeactivation(deactivation, maxPercent)),
+        blockedDeactivations,
+      };
+    }
+
+    const deactivationEvents = [];
+    for (const deactivation of deactivations) {
+      if (deactivation.exceedsThreshold && !confirmDeactivation) continue;
+
+      const result = await Railcar.updateMany(
+        { _id: { $in: deactivation.railcars.map((railcar) => railcar._id) } },
+        { $set: { isActive: false } }
+      );
+      deactivated += result.modifiedCount || 0;
+      await recordBatchChanges(context, deactivation.railcars.map((railcar) => ({
+        railcar: railcar._id,
+        railcarID: railcar.railcarID,
+        customerName: railcar.customerName,
+        action: 'deactivated',
+        before: { isActive: true },
+        after: { isActive: false },
+      })));
+      deactivation.railcars.forEach((railcar) => {
+        deactivationEvents.push(buildRailcarEvent(railcar, {
+          eventType: 'deactivated',
+          source,
+          changes: [{ field: 'isActive', from: true, to: false }],
+          actor: actorId,
+          notes: 'Railcar was missing from the ingest feed',
+        }));
+      });
+    }
+
+    await recordRailcarEvents(deactivationEvents);
+    context.eventsRecorded += deactivationEvents.length;
+
+    await IngestBatch.updateOne(
+      { _id: context.batchId },
+      { $set: { ...buildIngestBatchCounts(context, deactivated), blockedDeactivations, status: 'applied' } }
+    );
+
+    return {
+      message: blockedDeactivations.length > 0
+        ? 'Railcar import processed; some deactivations were held back pending confirmation'
+        : 'Railcar import processed',
+      batchId: context.batchId,
+      profile: profile?.name || null,
+      received: context.received,
+      upserted: context.upserted,
+      deactivated,
+      eventsRecorded: context.eventsRecorded,
+      placementsFulfilled: context.placementsFulfilled,
+      rejected: errors.length,
+      errors,
+      warnings,
+      blockedDeactivations,
+    };
+  } catch (err) {
+    // Keep the header and whatever changes were stored so the partial import can still be rolled back.
+    if (context.batchId) {
+      err.ingestBatchId = context.batchId;
+      await IngestBatch.updateOne(
+        { _id: context.batchId },
+        {
+          $set: {
+            ...buildIngestBatchCounts(context, deactivated),
+            status: 'failed',
+            failureMessage: err.message || String(err),
+          },
+        }
+      ).catch((updateErr) => console.error('Error marking ingest batch as failed:', updateErr));
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  normalizeStatus,
+  isOnSpotTrack,
+  toRowObject,
+  parseCsvRows,
+  streamCsvRows,
+  processRailcarIngest,
+};
@@ -0,0 +1,302 @@
+const { Types } = require('mongoose');
+const BOL = require('../models/BOL');
+const Railcar = require('../models/Railcar');
+const RailcarUnloadLedger = require('../models/RailcarUnloadLedger');
+
+const ledgerKey = ({ customerName, railcarID, railShipmentBolNumber }) =>
+  `${String(customerName?._id || customerName)}|${String(railcarID || '').trim()}|${String(railShipmentBolNumber || '').trim()}`;
+
+const toNumberOrZero = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const computeRemainingWeight = (reportedWeight, unloadedWeight) => {
+  const reported = Number(reportedWeight || 0);
+  return reported > 0 ? Math.max(reported - unloadedWeight, 0) : null;
+};
+
+// Same net-weight fallbacks as the BOL aggregation: stored nets first, then gross minus tare.
+const getBolRailcarUnloads = (bol) => {
+  const unloads = [];
+  const primaryRailcarID = String(bol.railcarID || '').trim();
+  if (primaryRailcarID) {
+    const fallbackNet = bol.grossWeight != null && bol.tareWeight != null ? bol.grossWeight - bol.tareWeight : 0;
+    unloads.push({
+      railcarID: primaryRailcarID,
+      railShipmentBolNumber: String(bol.railShipmentBolNumber || '').trim(),
+      netWeight: toNumberOrZero(bol.primaryNetWeight ?? bol.netWeight ?? fallbackNet),
+    });
+  }
+
+  const secondaryRailcarID = String(bol.secondaryRailcarID || '').trim();
+  if (secondaryRailcarID) {
+    const fallbackNet = bol.secondaryGrossWeight != null && bol.secondaryTareWeight != null
+      ? bol.secondaryGrossWeight - bol.secondaryTareWeight
+      : 0;
+    unloads.push({
+      railcarID: secondaryRailcarID,
+      railShipmentBolNumber: String(bol.secondaryRailShipmentBolNumber || '').trim(),
+      netWeight: toNumberOrZero(bol.secondaryNetWeight ?? fallbackNet),
+    });
+  }
+  return unloads;
+};
+
+const findReportedWeight = async ({ customerName, railcarID, railShipmentBolNumber }, session) => {
+  const railcars = await Railcar.find({ customerName, railcarID })
+    .select('railcarBolNumber reportedWeight isActive')
+    .session(session || null)
+    .lean();
+  const match = railcars.find((railcar) => String(railcar.railcarBolNumber || '').trim() === railShipmentBolNumber)
+    || railcars.find((railcar) => railcar.isActive !== false)
+    || railcars[0];
+  return match?.reportedWeight ?? null;
+};
+
+const unloadAggregationStages = [
+  {
+    $project: {
+      customerName: 1,
+      completedAt: { $ifNull: ['$weighOutTime', '$completedAt'] },
+      railcarEntries: [
+        {
+          railcarID: { $trim: { input: { $ifNull: ['$railcarID', ''] } } },
+          railShipmentBolNumber: { $trim: { input: { $ifNull: ['$railShipmentBolNumber', ''] } } },
+          netWeight: {
+            $ifNull: [
+              '$primaryNetWeight',
+              {
+                $ifNull: [
+                  '$netWeight',
+                  {
+                    $cond: [
+                      { $and: [{ $ne: ['$grossWeight', null] }, { $ne: ['$tareWeight', null] }] },
+                      { $subtract: ['$grossWeight', '$tareWeight'] },
+                      0,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+        {
+          railcarID: { $trim: { input: { $ifNull: ['$secondaryRailcarID', ''] } } },
+          railShipmentBolNumber: { $trim: { input: { $ifNull: ['$secondaryRailShipmentBolNumber', ''] } } },
+          netWeight: {
+            $ifNull: [
+              '$secondaryNetWeight',
+              {
+                $cond: [
+                  { $and: [{ $ne: ['$secondaryGrossWeight', null] }, { $ne: ['$secondaryTareWeight', null] }] },
+                  { $subtract: ['$secondaryGrossWeight', '$secondaryTareWeight'] },
+                  0,
+                ],
+              },
+            ],
+          },
+        },
+      ],
+    },
+  },
+  { $unwind: '$railcarEntries' },
+  { $match: { 'railcarEntries.railcarID': { $ne: '' } } },
+  { $sort: { completedAt: 1 } },
+  {
+    $group: {
+      _id: {
+        customerName: '$customerName',
+        railcarID: '$railcarEntries.railcarID',
+        railShipmentBolNumber: '$railcarEntries.railShipmentBolNumber',
+      },
+      unloadedWeight: { $sum: { $ifNull: ['$railcarEntries.netWeight', 0] } },
+      bolCount: { $sum: 1 },
+      lastUnloadAt: { $last: '$completedAt' },
+      lastBol: { $last: '$_id' },
+    },
+  },
+];
+
+// Only Completed BOLs count toward unloaded weight; Drafts and Voided BOLs are ignored.
+const aggregateRailcarUnloads = (match = {}, { session } = {}) =>
+  BOL.aggregate([{ $match: { ...match, status: 'Completed' } }, ...unloadAggregationStages]).session(session || null);
+
+const upsertLedgerTotals = async (key, totals, { session, rebuiltAt = null } = {}) => {
+  const reportedWeight = await findReportedWeight(key, session);
+  const unloadedWeight = toNumberOrZero(totals?.unloadedWeight);
+  const update = {
+    reportedWeight,
+    unloadedWeight,
+    remainingWeight: computeRemainingWeight(reportedWeight, unloadedWeight),
+    bolCount: totals?.bolCount || 0,
+    lastUnloadAt: totals?.lastUnloadAt || null,
+    lastBol: totals?.lastBol || null,
+  };
+  if (rebuiltAt) update.rebuiltAt = rebuiltAt;
+
+  await RailcarUnloadLedger.updateOne(
+    {
+      customerName: key.customerName,
+      railcarID: key.railcarID,
+      railShipmentBolNumber: key.railShipmentBolNumber,
+    },
+    { $set: update },
+    { upsert: true, session }
+  );
+};
+
+// Recomputes the named ledger rows from their Completed BOLs (used after a void).
+const recomputeLedgerEntries = async (keys = [], { session } = {}) => {
+  for (const key of keys) {
+    const [totals] = (await aggregateRailcarUnloads(
+      {
+        customerName: new Types.ObjectId(String(key.customerName)),
+        $or: [{ railcarID: key.railcarID }, { secondaryRailcarID: key.railcarID }],
+      },
+      { session }
+    )).filter((row) => ledgerKey(row._id) === ledgerKey(key));
+    await upsertLedgerTotals(key, totals, { session });
+  }
+};
+
+const applyBolToRailcarLedger = async (bol, { session } = {}) => {
+  const completedAt = bol.weighOutTime || bol.completedAt || new Date();
+  for (const unload of getBolRailcarUnloads(bol)) {
+    const key = { customerName: bol.customerName, ...unload };
+    const reportedWeight = await findReportedWeight(key, session);
+    const unloadedWeight = { $add: [{ $ifNull: ['$unloadedWeight', 0] }, unload.netWeight] };
+
+    await RailcarUnloadLedger.updateOne(
+      {
+        customerName: bol.customerName,
+        railcarID: unload.railcarID,
+        railShipmentBolNumber: unload.railShipmentBolNumber,
+      },
+      [
+        {
+          $set: {
+            reportedWeight,
+            unloadedWeight,
+            remainingWeight: reportedWeight > 0 ? { $max: [{ $subtract: [reportedWeight, unloadedWeight] }, 0] } : null,
+            bolCount: { $add: [{ $ifNull: ['$bolCount', 0] }, 1] },
+            lastUnloadAt: { $max: [{ $ifNull: ['$lastUnloadAt', null] }, completedAt] },
+            lastBol: {
+              $cond: [{ $gte: [completedAt, { $ifNull: ['$lastUnloadAt', new Date(0)] }] }, bol._id, '$lastBol'],
+            },
+          },
+        },
+      ],
+      { upsert: true, session }
+    );
+  }
+};
+
+const removeBolFromRailcarLedger = async (bol, { session } = {}) => {
+  const keys = getBolRailcarUnloads(bol).map((unload) => ({ customerName: bol.customerName, ...unload }));
+  await recomputeLedgerEntries(keys, { session });
+};
+
+// Keeps the ledger's reported/remaining weights in step with railcar feed updates.
+const syncLedgerReportedWeights = async (railcars = [], { session } = {}) => {
+  const operations = railcars
+    .filter((railcar) => String(railcar.railcarID || '').trim())
+    .map((railcar) => {
+      const reportedWeight = railcar.reportedWeight ?? null;
+      return {
+        updateOne: {
+          filter: {
+            customerName: railcar.customerName,
+            railcarID: railcar.railcarID,
+            railShipmentBolNumber: String(railcar.railcarBolNumber || '').trim(),
+          },
+          update: [
+            {
+              $set: {
+                reportedWeight,
+                remainingWeight: reportedWeight > 0
+                  ? { $max: [{ $subtract: [reportedWeight, '$unloadedWeight'] }, 0] }
+                  : null,
+              },
+            },
+          ],
+        },
+      };
+    });
+  if (operations.length === 0) return;
+  await RailcarUnloadLedger.bulkWrite(operations, { ordered: false, session });
+};
+
+const loadLedgerMapForRailcars = async (railcars = []) => {
+  const filters = railcars
+    .filter((railcar) => railcar.railcarID)
+    .map((railcar) => ({
+      customerName: railcar.customerName?._id || railcar.customerName,
+      railcarID: railcar.railcarID,
+      railShipmentBolNumber: String(railcar.railcarBolNumber || '').trim(),
+    }));
+  if (filters.length === 0) return new Map();
+
+  const entries = await RailcarUnloadLedger.find({ $or: filters }).lean();
+  return new Map(entries.map((entry) => [ledgerKey(entry), entry]));
+};
+
+const getLedgerEntryForRailcar = (ledgerMap, railcar) =>
+  ledgerMap.get(ledgerKey({
+    customerName: railcar.customerName,
+    railcarID: railcar.railcarID,
+    railShipmentBolNumber: railcar.railcarBolNumber,
+  })) || null;
+
+// Rebuilds ledger rows from every Completed BOL. Returns rows whose stored totals differed.
+const rebuildRailcarLedger = async ({ customerId = null, apply = false } = {}) => {
+  const match = customerId ? { customerName: new Types.ObjectId(String(customerId)) } : {};
+  const totalsRows = await aggregateRailcarUnloads(match);
+  const existingRows = await RailcarUnloadLedger.find(customerId ? { customerName: customerId } : {}).lean();
+  const existingByKey = new Map(existingRows.map((row) => [ledgerKey(row), row]));
+  const rebuiltAt = new Date();
+  const drift = [];
+
+  for (const totals of totalsRows) {
+    const key = totals._id;
+    const existing = existingByKey.get(ledgerKey(key));
+    existingByKey.delete(ledgerKey(key));
+    const storedUnloaded = toNumberOrZero(existing?.unloadedWeight);
+    if (!existing || Math.abs(storedUnloaded - toNumberOrZero(totals.unloadedWeight)) > 0.001
+      || (existing.bolCount || 0) !== totals.bolCount) {
+      drift.push({
+        ...key,
+        storedUnloadedWeight: existing ? storedUnloaded : null,
+        computedUnloadedWeight: toNumberOrZero(totals.unloadedWeight),
+      });
+    }
+    if (apply) await upsertLedgerTotals(key, totals, { rebuiltAt });
+  }
+
+  // Rows left over no longer have any Completed BOL behind them.
+  for (const stale of existingByKey.values()) {
+    if (toNumberOrZero(stale.unloadedWeight) !== 0 || (stale.bolCount || 0) !== 0) {
+      drift.push({
+        customerName: stale.customerName,
+        railcarID: stale.railcarID,
+        railShipmentBolNumber: stale.railShipmentBolNumber,
+        storedUnloadedWeight: toNumberOrZero(stale.unloadedWeight),
+        computedUnloadedWeight: 0,
+      });
+    }
+    if (apply) await upsertLedgerTotals(stale, null, { rebuiltAt });
+  }
+
+  return { ledgerRows: totalsRows.length, drift };
+};
+
+module.exports = {
+  getBolRailcarUnloads,
+  applyBolToRailcarLedger,
+  removeBolFromRailcarLedger,
+  syncLedgerReportedWeights,
+  loadLedgerMapForRailcars,
+  getLedgerEntryForRailcar,
+  rebuildRailcarLedger,
+  computeRemainingWeight,
+};
@@ -0,0 +1,198 @@
+const net = require('net');
+
+const STX = '\u0002';
+const ETX = '\u0003';
+const DEFAULT_MAX_READING_AGE_MS = 5000;
+const LBS_PER_KG = 2.20462;
+const LBS_PER_TON = 2000;
+
+// scaleId -> latest reading. Readings live in memory only; the capture endpoint copies
+// the value onto the BOL, which is the durable record.
+const latestReadings = new Map();
+const servers = new Map();
+
+const normalizeScaleId = (value) => String(value || '').trim().toUpperCase();
+
+const parseScaleConfig = (value = '') =>
+  String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [scaleId, port] = entry.split(':').map((part) => part.trim());
+      return { scaleId: normalizeScaleId(scaleId), port: Number(port) };
+    })
+    .filter((entry) => entry.scaleId && Number.isInteger(entry.port) && entry.port > 0);
+
+// Only loopback peers, or the indicator addresses listed in SCALE_READER_ALLOWED_IPS, may push weights.
+const normalizePeerAddress = (value = '') => String(value || '').trim().replace(/^::ffff:/i, '');
+
+const parseAllowedPeers = (value = process.env.SCALE_READER_ALLOWED_IPS) =>
+  new Set(
+    String(value || '')
+      .split(',')
+      .map(normalizePeerAddress)
+      .filter(Boolean)
+  );
+
+const isAllowedPeer = (allowedPeers, remoteAddress) => {
+  const peer = normalizePeerAddress(remoteAddress);
+  if (allowedPeers.size > 0) return allowedPeers.has(peer);
+  return peer === '127.0.0.1' || peer === '::1';
+};
+
+const getMaxReadingAgeMs = () => {
+  const configured = Number(process.env.SCALE_READING_MAX_AGE_MS);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_READING_AGE_MS;
+};
+
+const normalizeUnit = (value = '') => {
+  const unit = String(value || '').trim().toUpperCase();
+  if (!unit || unit === 'L' || unit === 'LB' || unit === 'LBS') return 'lb';
+  if (unit === 'K' || unit === 'KG') return 'kg';
+  if (unit === 'T' || unit === 'TN' || unit === 'TON') return 'ton';
+  return null;
+};
+
+const toPounds = (weight, unit) => {
+  if (unit === 'kg') return Math.round(weight * LBS_PER_KG);
+  if (unit === 'ton') return Math.round(weight * LBS_PER_TON);
+  return weight;
+};
+
+// Parses one continuous-output frame as sent by Cardinal and Rice Lake style indicators, e.g.
+//   "<STX> 0045620LG \r"   polarity, weight, unit (L/K/T), mode (G/N), status
+//   "  45620 lb  G  M"     spaced variant with motion flag
+// Status letters: M = motion, O = over capacity, U = under range, I = invalid / zero error.
+const parseScaleFrame = (rawFrame = '') => {
+  const frame = String(rawFrame || '')
+    .split(STX).join('')
+    .split(ETX).join('')
+    .replace(/[\r\n]/g, '')
+    .trim();
+  if (!frame) return null;
+
+  const match = frame.match(/^([+-])?\s*(\d+(?:\.\d+)?)\s*(LBS|LB|KG|TN|TON|L|K|T)?\s*(GR|NT|G|N)?\s*([MOUIC\s]*)$/i);
+  if (!match) return null;
+
+  const [, polarity, weightText, unitText, modeText, statusText] = match;
+  const unit = normalizeUnit(unitText);
+  if (!unit) return null;
+
+  const status = String(statusText || '').toUpperCase().replace(/\s/g, '');
+  const weight = Number(weightText) * (polarity === '-' ? -1 : 1);
+  const motion = status.includes('M');
+  const overload = status.includes('O');
+  const underRange = status.includes('U');
+  const invalid = status.includes('I');
+
+  return {
+    weight,
+    unit,
+    weightLbs: toPounds(weight, unit),
+    mode: String(modeText || 'G').toUpperCase().startsWith('N') ? 'net' : 'gross',
+    motion,
+    overload,
+    underRange,
+    stable: !motion && !overload && !underRange && !invalid && weight >= 0,
+    rawFrame: frame,
+  };
+};
+
+const recordReading = (scaleId, parsed) => {
+  const now = new Date();
+  const previous = latestReadings.get(scaleId) || {};
+  const reading = {
+    ...previous,
+    scaleId,
+    ...parsed,
+    receivedAt: now,
+  };
+  if (parsed.stable) {
+    reading.lastStableWeightLbs = parsed.weightLbs;
+    reading.lastStableAt = now;
+  }
+  latestReadings.set(scaleId, reading);
+  return reading;
+};
+
+const handleScaleConnection = (scaleId, socket) => {
+  let buffer = '';
+  socket.setEncoding('latin1');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const frames = buffer.split(/[\r\n\u0003]+/);
+    buffer = frames.pop();
+    if (buffer.length > 256) buffer = '';
+
+    frames.forEach((frame) => {
+      const parsed = parseScaleFrame(frame);
+      if (parsed) recordReading(scaleId, parsed);
+    });
+  });
+
+  socket.on('error', (err) => {
+    console.error(`Scale ${scaleId} connection error:`, err.message || err);
+  });
+};
+
+const startScaleReaders = (config = process.env.SCALE_READERS) => {
+  const scales = parseScaleConfig(config);
+  const host = process.env.SCALE_READER_HOST || '127.0.0.1';
+  const allowedPeers = parseAllowedPeers();
+
+  scales.forEach(({ scaleId, port }) => {
+    if (servers.has(scaleId)) return;
+
+    const server = net.createServer((socket) => {
+      if (!isAllowedPeer(allowedPeers, socket.remoteAddress)) {
+        console.error(`Scale reader ${scaleId} rejected connection from ${socket.remoteAddress}`);
+        socket.destroy();
+        return;
+      }
+      handleScaleConnection(scaleId, socket);
+    });
+    server.on('error', (err) => {
+      console.error(`Scale reader ${scaleId} failed on port ${port}:`, err.message || err);
+    });
+    server.listen(port, host, () => {
+      console.log(`Scale reader ${scaleId} listening on ${host}:${port}`);
+    });
+    servers.set(scaleId, { server, port });
+  });
+
+  return scales;
+};
+
+const stopScaleReaders = () => {
+  servers.forEach(({ server }) => server.close());
+  servers.clear();
+};
+
+const listScales = () =>
+  [...servers.entries()].map(([scaleId, { port }]) => ({ scaleId, port }));
+
+const isConfiguredScale = (scaleId) => servers.has(normalizeScaleId(scaleId));
+
+const getCurrentReading = (scaleId) => {
+  const reading = latestReadings.get(normalizeScaleId(scaleId));
+  if (!reading) return null;
+
+  const ageMs = Date.now() - new Date(reading.receivedAt).getTime();
+  return {
+    ...reading,
+    ageMs,
+    stale: ageMs > getMaxReadingAgeMs(),
+  };
+};
+
+module.exports = {
+  getCurrentReading,
+  isConfiguredScale,
+  listScales,
+  normalizeScaleId,
+  parseScaleFrame,
+  startScaleReaders,
+  stopScaleReaders,
+};
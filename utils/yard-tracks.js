@@ -0,0 +1,68 @@
+const Track = require('../models/Track');
+const Railcar = require('../models/Railcar');
+
+const normalizeTrackToken = (value = '') =>
+  String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+// Exact name/alias matches win; otherwise the longest token contained in the extract text
+// is used, so "Y-TRACK A (TL)" still resolves to "Y-TRACK A".
+const buildTrackResolver = (tracks = []) => {
+  const tokens = [];
+  tracks.forEach((track) => {
+    [track.name, ...(track.aliases || [])].forEach((label) => {
+      const token = normalizeTrackToken(label);
+      if (token) tokens.push({ token, track });
+    });
+  });
+  tokens.sort((a, b) => b.token.length - a.token.length);
+
+  const resolve = (rawTrack = '') => {
+    const normalized = normalizeTrackToken(rawTrack);
+    if (!normalized) return null;
+    const exact = tokens.find(({ token }) => token === normalized);
+    if (exact) return exact.track;
+    const partial = tokens.find(({ token }) => normalized.includes(token));
+    return partial ? partial.track : null;
+  };
+
+  return {
+    resolve,
+    spotTrackLabels: tracks
+      .filter((track) => track.type === 'spot')
+      .flatMap((track) => [track.name, ...(track.aliases || [])]),
+  };
+};
+
+const loadTrackResolver = async () => {
+  const tracks = await Track.find({ isActive: { $ne: false } }).lean();
+  return buildTrackResolver(tracks);
+};
+
+// Re-resolves cars still in the yard after the track map changes.
+const refreshRailcarYardTracks = async () => {
+  const resolver = await loadTrackResolver();
+  const railcars = await Railcar.find({ isActive: { $ne: false }, currentStatus: { $ne: 'Released' } })
+    .select('track yardTrack')
+    .lean();
+
+  const operations = [];
+  railcars.forEach((railcar) => {
+    const resolvedId = resolver.resolve(railcar.track)?._id || null;
+    if (String(resolvedId || '') === String(railcar.yardTrack || '')) return;
+    operations.push({
+      updateOne: { filter: { _id: railcar._id }, update: { $set: { yardTrack: resolvedId } } },
+    });
+  });
+  if (operations.length > 0) await Railcar.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+module.exports = {
+  normalizeTrackToken,
+  buildTrackResolver,
+  loadTrackResolver,
+  refreshRailcarYardTracks,
+};